@@ -1,18 +1,257 @@
-import { eventSource, event_types, chat, saveChatConditional, name2, getRequestHeaders } from '../../../../script.js';
+import { eventSource, event_types, chat, saveChatConditional, saveSettingsDebounced, name1, name2, getRequestHeaders, getCurrentChatId, reloadCurrentChat, chat_metadata, characters, this_chid, substituteParams, getPastCharacterChats } from '../../../../script.js';
+import { groups, selected_group } from '../../../group-chats.js';
+import { extension_settings, saveMetadataDebounced } from '../../../extensions.js';
+import { callGenericPopup, POPUP_TYPE } from '../../../popup.js';
 import { executeSlashCommandsWithOptions } from '../../../slash-commands.js';
 import { SlashCommandParser } from '../../../slash-commands/SlashCommandParser.js';
 import { SlashCommand } from '../../../slash-commands/SlashCommand.js';
+import { getStringHash, download } from '../../../utils.js';
+import { createZip, readZip } from './zip.js';
+import { getImageProvider, getImageProviders, canGenerateVideo, sanitizeForSlashCommand, blobToBase64 } from './providers.js';
+import { registerTagType, getTagTypes, parseTags, stripTags, getTagText, replaceTagContent, openTagPattern, closeTagPattern } from './tags.js';
 
 const MODULE_NAME = 'phone-ui';
-const IMG_TAG_REGEX = /\[IMG\]\s*([\s\S]*?)\s*\[\/IMG\]/gi;
-const VN_TAG_REGEX = /\[VN\]\s*([\s\S]*?)\s*\[\/VN\]/gi;
-const STRIP_IMG_TAGS_REGEX = /\[IMG\][\s\S]*?\[\/IMG\]/gi; // used for message.mes stripping (VN tags kept for edit flow)
 
-const BAR_HEIGHTS = [8, 14, 6, 18, 10, 16, 7, 12, 5, 15, 9, 13];
+// Media tags: [IMG ratio="9:16" kind="selfie" seed=42 id="beach" ref="Mia"]prompt[/IMG]
+// [VN voice="Mia" id="hello"]text[/VN], [LOC eta="5 min away"]place | address[/LOC]
+// and [VID kind="selfie"]prompt[/VID]. Parsing lives in tags.js.
+registerTagType({ name: 'IMG', placeholderAttr: 'data-phone-img', keyPrefix: '' });
+registerTagType({ name: 'VN', placeholderAttr: 'data-phone-vn', keyPrefix: 'vn' });
+registerTagType({ name: 'LOC', placeholderAttr: 'data-phone-loc', keyPrefix: 'loc' });
+registerTagType({ name: 'VID', placeholderAttr: 'data-phone-vid', keyPrefix: 'vid' });
+
+/** Default aspect ratio (width:height) for [IMG kind="..."] and [IMG orientation="..."] */
+const IMAGE_KIND_RATIOS = Object.freeze({
+    selfie: '9:16',
+    photo: '3:4',
+    portrait: '3:4',
+    landscape: '4:3',
+    scenery: '16:9',
+    square: '1:1',
+});
+
+/** Aspect ratios offered in the prompt editor */
+const IMAGE_RATIOS = ['1:1', '3:4', '4:3', '9:16', '16:9'];
+
+/** Waveform bar count range; longer notes get more bars */
+const MIN_WAVEFORM_BARS = 12;
+const MAX_WAVEFORM_BARS = 32;
+
+/** Number of amplitude samples stored in phoneMedia['vnN'].peaks (0-100 each) */
+const PEAK_RESOLUTION = 64;
+
+/** How long each frame of a clip built from images is shown */
+const VIDEO_FRAME_MS = 500;
+const MAX_VIDEO_FRAMES = 12;
+
+/** Size of the map tile drawn on location cards, in SVG units */
+const LOC_MAP_WIDTH = 280;
+const LOC_MAP_HEIGHT = 120;
+
+/** Folder this extension was loaded from (third-party installs can be renamed) */
+const EXTENSION_FOLDER = new URL('.', import.meta.url).pathname.replace(/\/$/, '');
+
+/** Bump when a stored setting is renamed or changes meaning; see migrateSettings() */
+const SETTINGS_VERSION = 2;
+
+const DEFAULT_SETTINGS = Object.freeze({
+    settingsVersion: SETTINGS_VERSION,
+    imagesEnabled: true,
+    voiceNotesEnabled: true,
+    locationsEnabled: true,
+    videosEnabled: true,
+    imagineArgs: 'quiet=true gallery=false',
+    imgPlaceholderGlyph: '\uD83D\uDCF8',
+    vnPlaceholderGlyph: '\u25B6',
+    locPlaceholderGlyph: '\uD83D\uDCCD',
+    vidPlaceholderGlyph: '\uD83C\uDFAC',
+    stripItalicsForTts: true,
+    ttsTimeoutSeconds: 15,
+    ttsWordsPerMinute: 150,
+    imageConcurrency: 2,
+    transcribeVoiceNotes: true,
+    cacheTtsAudio: true,
+    vnPlaybackRate: 1,
+    autoPlayVoiceNotes: false,
+    voiceMap: {},
+    imageStyles: {},
+    imageSuffixes: {},
+    negativePrompts: {},
+    promptPrefix: '',
+    promptSuffix: '',
+    negativePrompt: '',
+    imageProvider: 'imagine',
+    providerUrl: '',
+    comfyWorkflow: '',
+    comfyVideoWorkflow: '',
+    videoFrames: 4,
+    imageWidth: 768,
+    imageHeight: 1024,
+    imageSteps: 25,
+    processWhileStreaming: true,
+    referenceImagesEnabled: false,
+    referenceImages: {},
+    referenceArgument: '',
+    imageFileChats: {},
+});
+
+/**
+ * Get the live settings object for this extension.
+ * @returns {typeof DEFAULT_SETTINGS}
+ */
+function getSettings() {
+    return extension_settings[MODULE_NAME];
+}
+
+/**
+ * Upgrade settings saved by an older version of the extension in place.
+ * @param {object} settings
+ */
+function migrateSettings(settings) {
+    // Pre-versioned installs had no stored settings; nothing to rename for version 1
+    if ((settings.settingsVersion || 0) < 2 && settings.imageFileChats) {
+        // Early 1.4.0 builds kept one flat `url → chat ids` registry, which can't be split by character
+        for (const [key, value] of Object.entries(settings.imageFileChats)) {
+            if (Array.isArray(value)) delete settings.imageFileChats[key];
+        }
+    }
+    settings.settingsVersion = SETTINGS_VERSION;
+}
+
+/**
+ * Load settings from extension_settings, filling in defaults and migrating old versions.
+ */
+function loadSettings() {
+    if (!extension_settings[MODULE_NAME]) extension_settings[MODULE_NAME] = {};
+    const settings = extension_settings[MODULE_NAME];
+
+    if ((settings.settingsVersion || 0) < SETTINGS_VERSION) {
+        migrateSettings(settings);
+    }
+
+    for (const [key, value] of Object.entries(DEFAULT_SETTINGS)) {
+        if (settings[key] === undefined) settings[key] = structuredClone(value);
+    }
+}
+
+/**
+ * Render the settings drawer into the Extensions panel and bind inputs.
+ * Inputs declare the setting they control with a data-setting attribute.
+ */
+async function initSettingsUi() {
+    const response = await fetch(`${EXTENSION_FOLDER}/settings.html`);
+    if (!response.ok) {
+        console.error(`[${MODULE_NAME}] Failed to load settings.html: ${response.status}`);
+        return;
+    }
+    $('#extensions_settings2').append(await response.text());
+
+    // Providers are registered in providers.js; list them before the select is bound
+    $('#phone_ui_image_provider').append(getImageProviders().map(provider => $('<option>').val(provider.id).text(provider.name)));
+
+    const settings = getSettings();
+    $('.phone-ui-settings [data-setting]').each(function () {
+        const input = $(this);
+        const key = input.data('setting');
+        const isCheckbox = input.attr('type') === 'checkbox';
+        const isNumber = input.attr('type') === 'number';
+        const isMap = input.data('format') === 'map';
+
+        if (isCheckbox) {
+            input.prop('checked', !!settings[key]);
+        } else if (isMap) {
+            input.val(formatSettingsMap(settings[key]));
+        } else {
+            input.val(settings[key]);
+        }
+
+        input.on(isCheckbox ? 'change' : 'input', function () {
+            if (isCheckbox) {
+                settings[key] = input.prop('checked');
+            } else if (isMap) {
+                settings[key] = parseSettingsMap(String(input.val()));
+            } else if (isNumber) {
+                const num = Number(input.val());
+                settings[key] = Number.isFinite(num) && input.val() !== '' ? num : DEFAULT_SETTINGS[key];
+            } else {
+                settings[key] = String(input.val());
+            }
+            saveSettingsDebounced();
+            applySettings();
+        });
+    });
+
+    applySettings();
+}
+
+/**
+ * Parse "Key = Value" lines (as typed in a settings textarea) into an object.
+ * @param {string} text
+ * @returns {Object<string, string>}
+ */
+function parseSettingsMap(text) {
+    const map = {};
+    for (const line of text.split('\n')) {
+        const separator = line.indexOf('=');
+        if (separator === -1) continue;
+        const key = line.slice(0, separator).trim();
+        const value = line.slice(separator + 1).trim();
+        if (key && value) map[key] = value;
+    }
+    return map;
+}
+
+/**
+ * Format an object as "Key = Value" lines for a settings textarea.
+ * @param {Object<string, string>} map
+ * @returns {string}
+ */
+function formatSettingsMap(map) {
+    return Object.entries(map || {}).map(([key, value]) => `${key} = ${value}`).join('\n');
+}
+
+/**
+ * Sync UI outside the settings drawer (chat input buttons etc.) with current settings.
+ */
+function applySettings() {
+    const settings = getSettings();
+    $('#phone_ui_send_photo').toggle(!!settings.imagesEnabled);
+    $('#phone_ui_record_vn').toggle(!!settings.voiceNotesEnabled);
+    $('.phone-ui-provider-endpoint').toggle(getImageProvider(settings.imageProvider).usesEndpoint);
+}
 
 /** Lightbox singleton for full-size image viewing (uses <dialog> for top-layer rendering) */
 let lightboxEl = null;
 
+/**
+ * @typedef {object} LightboxItem
+ * @property {number} messageId
+ * @property {number} index - Image slot index in `phoneMedia`
+ * @property {number} variant - Index into the slot's `urls`
+ * @property {number} imageNumber - 1-based position of the slot among all images in the chat
+ */
+
+/** Every image variant in the chat, in chat order, and the one shown */
+let lightboxItems = [];
+let lightboxPosition = 0;
+
+/** Zoom and pan of the shown image */
+const lightboxView = { scale: 1, x: 0, y: 0 };
+
+/** Minimum horizontal pointer travel, in px, that counts as a swipe */
+const LIGHTBOX_SWIPE_THRESHOLD = 40;
+const LIGHTBOX_MAX_ZOOM = 5;
+
+/**
+ * Get the variant URLs of an image slot, including the legacy single-`url` format.
+ * @param {object} media - A phoneMedia image entry
+ * @returns {string[]}
+ */
+function getImageUrls(media) {
+    if (media?.urls?.length) return media.urls;
+    return media?.url ? [media.url] : [];
+}
+
 /**
  * Get or create the lightbox dialog element.
  * @returns {HTMLDialogElement}
@@ -22,267 +261,2939 @@ function getLightbox() {
 
     lightboxEl = document.createElement('dialog');
     lightboxEl.className = 'phone-lightbox';
-
-    const img = document.createElement('img');
-    img.className = 'phone-lightbox-img';
-    lightboxEl.appendChild(img);
+    lightboxEl.innerHTML = `
+        <div class="phone-lightbox-stage">
+            <img class="phone-lightbox-img" alt="" draggable="false" />
+        </div>
+        <button class="phone-lightbox-nav phone-lightbox-prev" title="Previous">\u2039</button>
+        <button class="phone-lightbox-nav phone-lightbox-next" title="Next">\u203A</button>
+        <div class="phone-lightbox-toolbar">
+            <span class="phone-lightbox-counter"></span>
+            <button class="phone-lightbox-btn phone-lightbox-save" title="Save to gallery">&#8615;</button>
+            <a class="phone-lightbox-btn phone-lightbox-download" title="Download" download>&#128190;</a>
+            <button class="phone-lightbox-btn phone-lightbox-copy" title="Copy prompt">&#128203;</button>
+            <button class="phone-lightbox-btn phone-lightbox-ref" title="Use as character reference">&#128100;</button>
+            <button class="phone-lightbox-btn phone-lightbox-close" title="Close">&#10005;</button>
+        </div>
+        <div class="phone-lightbox-caption"></div>`;
 
     document.body.appendChild(lightboxEl);
 
-    // Close on backdrop click
+    const lb = $(lightboxEl);
+    const stage = lightboxEl.querySelector('.phone-lightbox-stage');
+    const img = lightboxEl.querySelector('.phone-lightbox-img');
+
+    lb.find('.phone-lightbox-prev').on('click', () => showLightboxItem(lightboxPosition - 1));
+    lb.find('.phone-lightbox-next').on('click', () => showLightboxItem(lightboxPosition + 1));
+    lb.find('.phone-lightbox-close').on('click', () => lightboxEl.close());
+    lb.find('.phone-lightbox-save').on('click', saveLightboxItem);
+    lb.find('.phone-lightbox-copy').on('click', copyLightboxPrompt);
+    lb.find('.phone-lightbox-ref').on('click', () => {
+        const item = lightboxItems[lightboxPosition];
+        if (item) setReferenceImage(item.messageId, getImageUrls(getLightboxMedia(item))[item.variant]);
+    });
+
+    lightboxEl.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowLeft') showLightboxItem(lightboxPosition - 1);
+        if (e.key === 'ArrowRight') showLightboxItem(lightboxPosition + 1);
+    });
+
+    // Scroll to zoom around the pointer
+    stage.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        zoomLightbox(lightboxView.scale * (e.deltaY < 0 ? 1.15 : 1 / 1.15), e.clientX, e.clientY);
+    }, { passive: false });
+
+    img.addEventListener('dblclick', (e) => {
+        zoomLightbox(lightboxView.scale > 1 ? 1 : 2.5, e.clientX, e.clientY);
+    });
+
+    // One pointer swipes (at 1x) or pans (zoomed in); two pointers pinch-zoom.
+    // A gesture must not also count as a backdrop click.
+    const pointers = new Map();
+    let gesture = null;
+    let moved = false;
+
+    stage.addEventListener('pointerdown', (e) => {
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        moved = false;
+        if (pointers.size === 2) {
+            const [a, b] = [...pointers.values()];
+            gesture = { type: 'pinch', distance: Math.hypot(a.x - b.x, a.y - b.y), scale: lightboxView.scale };
+        } else {
+            gesture = { type: 'drag', startX: e.clientX, lastX: e.clientX, lastY: e.clientY };
+        }
+    });
+
+    stage.addEventListener('pointermove', (e) => {
+        if (!pointers.has(e.pointerId) || !gesture) return;
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        if (gesture.type === 'pinch' && pointers.size === 2) {
+            const [a, b] = [...pointers.values()];
+            const distance = Math.hypot(a.x - b.x, a.y - b.y);
+            zoomLightbox(gesture.scale * distance / gesture.distance, (a.x + b.x) / 2, (a.y + b.y) / 2);
+            moved = true;
+        } else if (gesture.type === 'drag') {
+            if (Math.abs(e.clientX - gesture.startX) > 4) moved = true;
+            if (lightboxView.scale > 1) {
+                lightboxView.x += e.clientX - gesture.lastX;
+                lightboxView.y += e.clientY - gesture.lastY;
+                applyLightboxView();
+            }
+            gesture.lastX = e.clientX;
+            gesture.lastY = e.clientY;
+        }
+    });
+
+    const endPointer = (e) => {
+        if (!pointers.delete(e.pointerId)) return;
+        if (gesture?.type === 'drag' && lightboxView.scale === 1) {
+            const deltaX = e.clientX - gesture.startX;
+            if (Math.abs(deltaX) >= LIGHTBOX_SWIPE_THRESHOLD) {
+                showLightboxItem(lightboxPosition + (deltaX < 0 ? 1 : -1));
+            }
+        }
+        gesture = null;
+    };
+    stage.addEventListener('pointerup', endPointer);
+    stage.addEventListener('pointercancel', endPointer);
+
+    // Close on backdrop click (anywhere outside the image and controls)
     lightboxEl.addEventListener('click', (e) => {
-        if (e.target === lightboxEl) {
+        if ((e.target === lightboxEl || e.target === stage) && !moved) {
             lightboxEl.close();
         }
+        moved = false;
     });
 
     return lightboxEl;
 }
 
 /**
- * Open the lightbox with the given image URL.
- * @param {string} url
+ * List every image variant in the chat, in message and slot order.
+ * @returns {LightboxItem[]}
  */
-function openLightbox(url) {
-    const lb = getLightbox();
-    lb.querySelector('.phone-lightbox-img').src = url;
-    lb.showModal();
+function collectLightboxItems() {
+    const items = [];
+    let imageNumber = 0;
+    chat.forEach((message, messageId) => {
+        const phoneMedia = message?.extra?.phoneMedia;
+        if (!phoneMedia) return;
+        const indices = Object.keys(phoneMedia).filter(key => /^\d+$/.test(key)).map(Number).sort((a, b) => a - b);
+        for (const index of indices) {
+            const urls = getImageUrls(phoneMedia[index]);
+            if (phoneMedia[index].type !== 'image' || !urls.length) continue;
+            imageNumber++;
+            urls.forEach((_, variant) => items.push({ messageId, index, variant, imageNumber }));
+        }
+    });
+    return items;
 }
 
-/** Track messages we've already processed */
-const processedMessages = new Set();
+/**
+ * Look up the phoneMedia entry behind a lightbox item.
+ * @param {LightboxItem} item
+ * @returns {object|undefined}
+ */
+function getLightboxMedia(item) {
+    return chat[item?.messageId]?.extra?.phoneMedia?.[item.index];
+}
 
 /**
- * Build waveform bars HTML.
- * @returns {string}
+ * Apply the current zoom and pan to the lightbox image.
  */
-function buildWaveformBars() {
-    return BAR_HEIGHTS.map(h =>
-        `<span class="phone-vn-bar" style="height:${h}px;"></span>`,
-    ).join('');
+function applyLightboxView() {
+    const img = getLightbox().querySelector('.phone-lightbox-img');
+    img.style.transform = `translate(${lightboxView.x}px, ${lightboxView.y}px) scale(${lightboxView.scale})`;
+    $(getLightbox()).toggleClass('zoomed', lightboxView.scale > 1);
 }
 
 /**
- * Estimate TTS duration from text. Assumes ~150 words per minute.
- * @param {string} text
- * @returns {number} seconds (minimum 2)
+ * Zoom the lightbox image, keeping the point under (clientX, clientY) in place.
+ * @param {number} scale - Target scale, clamped to 1..LIGHTBOX_MAX_ZOOM
+ * @param {number} clientX
+ * @param {number} clientY
  */
-function estimateTtsDuration(text) {
-    const words = text.trim().split(/\s+/).filter(Boolean).length;
-    return Math.max(2, Math.round(words / 2.5));
+function zoomLightbox(scale, clientX, clientY) {
+    const next = Math.max(1, Math.min(scale, LIGHTBOX_MAX_ZOOM));
+    if (next === 1) {
+        Object.assign(lightboxView, { scale: 1, x: 0, y: 0 });
+    } else {
+        // The image is centered in the stage, so offsets are relative to the stage center
+        const stage = getLightbox().querySelector('.phone-lightbox-stage').getBoundingClientRect();
+        const originX = clientX - (stage.left + stage.width / 2);
+        const originY = clientY - (stage.top + stage.height / 2);
+        const ratio = next / lightboxView.scale;
+        lightboxView.x = originX - (originX - lightboxView.x) * ratio;
+        lightboxView.y = originY - (originY - lightboxView.y) * ratio;
+        lightboxView.scale = next;
+    }
+    applyLightboxView();
 }
 
 /**
- * Format seconds as m:ss.
- * @param {number} seconds
- * @returns {string}
+ * Show one lightbox item, clamped to the ends, and update the caption and controls.
+ * @param {number} position - Index into lightboxItems
  */
-function formatDuration(seconds) {
-    const m = Math.floor(seconds / 60);
-    const s = seconds % 60;
-    return `${m}:${s.toString().padStart(2, '0')}`;
+function showLightboxItem(position) {
+    const lb = $(getLightbox());
+    if (!lightboxItems.length) return;
+
+    lightboxPosition = Math.max(0, Math.min(position, lightboxItems.length - 1));
+    const item = lightboxItems[lightboxPosition];
+    const media = getLightboxMedia(item);
+    const urls = getImageUrls(media);
+    const url = urls[item.variant] || '';
+    const imageCount = lightboxItems[lightboxItems.length - 1].imageNumber;
+
+    Object.assign(lightboxView, { scale: 1, x: 0, y: 0 });
+    applyLightboxView();
+    lb.find('.phone-lightbox-img').attr('src', url);
+
+    const variantText = urls.length > 1 ? ` · variant ${item.variant + 1}/${urls.length}` : '';
+    lb.find('.phone-lightbox-counter').text(`${item.imageNumber}/${imageCount}${variantText}`);
+    lb.find('.phone-lightbox-prev').toggle(lightboxPosition > 0);
+    lb.find('.phone-lightbox-next').toggle(lightboxPosition < lightboxItems.length - 1);
+
+    // Uploads have no prompt; show the user's description instead
+    const caption = media?.prompt || media?.description || '';
+    lb.find('.phone-lightbox-caption').text(caption).toggle(!!caption);
+    lb.find('.phone-lightbox-copy').toggle(!!media?.prompt);
+    lb.find('.phone-lightbox-ref').toggle(!chat[item.messageId]?.is_user);
+
+    const fileName = url.split('/').pop().split('?')[0] || 'image.png';
+    lb.find('.phone-lightbox-download').attr({ href: url, download: fileName });
+
+    updateLightboxSaveButton();
 }
 
 /**
- * Sanitize text for use in slash command arguments.
- * Strips pipe characters that could chain commands.
- * @param {string} text
- * @returns {string}
+ * Reflect the shown variant's gallery state on the lightbox save button.
  */
-function sanitizeForSlashCommand(text) {
-    return text.replace(/\|/g, ',');
+function updateLightboxSaveButton() {
+    const item = lightboxItems[lightboxPosition];
+    const isSaved = !!getLightboxMedia(item)?.savedToGallery?.includes(item?.variant);
+    $(getLightbox()).find('.phone-lightbox-save')
+        .removeClass('saving error')
+        .toggleClass('saved', isSaved)
+        .html(isSaved ? '&#10003;' : '&#8615;')
+        .attr('title', isSaved ? 'Saved to gallery' : 'Save to gallery');
 }
 
 /**
- * Escape a string for safe use in an HTML attribute.
- * @param {string} str
- * @returns {string}
+ * Save the shown variant to the gallery; the inline button is updated too.
+ * @returns {Promise<void>}
  */
-function escapeHtmlAttr(str) {
-    return str.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+async function saveLightboxItem() {
+    const item = lightboxItems[lightboxPosition];
+    const button = $(getLightbox()).find('.phone-lightbox-save');
+    if (!item || button.hasClass('saved') || button.hasClass('saving')) return;
+
+    button.addClass('saving').empty();
+    try {
+        await saveImageVariantToGallery(item.messageId, item.index, item.variant);
+    } catch (error) {
+        console.error(`[${MODULE_NAME}] Gallery save failed:`, error);
+        button.removeClass('saving').addClass('error').html('&#8615;');
+        setTimeout(() => button.removeClass('error'), 1500);
+        return;
+    }
+    if (lightboxItems[lightboxPosition] === item) updateLightboxSaveButton();
 }
 
 /**
- * Save an image to the character gallery by fetching it and re-uploading.
- * @param {string} imageUrl - The server-relative URL of the image (e.g. /user/images/foo.png)
+ * Copy the shown image's prompt to the clipboard.
  * @returns {Promise<void>}
  */
-async function saveImageToGallery(imageUrl) {
-    const response = await fetch(imageUrl);
-    if (!response.ok) throw new Error(`Failed to fetch image: ${response.status}`);
+async function copyLightboxPrompt() {
+    const prompt = getLightboxMedia(lightboxItems[lightboxPosition])?.prompt;
+    if (!prompt) return;
+    try {
+        await navigator.clipboard.writeText(prompt);
+        toastr.success('Prompt copied');
+    } catch (error) {
+        console.error(`[${MODULE_NAME}] Copy failed:`, error);
+        toastr.error(error.message, 'Copy failed');
+    }
+}
 
-    const blob = await response.blob();
-    const base64 = await new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = () => resolve(reader.result.split(',')[1]);
-        reader.onerror = reject;
-        reader.readAsDataURL(blob);
-    });
+/**
+ * Open the lightbox on an image slot's current variant. Left/right, swipe and the
+ * arrow buttons then step through its variants and on through every image in the chat.
+ * @param {number} messageId
+ * @param {number} index - Image slot index
+ */
+function openLightbox(messageId, index) {
+    const lb = getLightbox();
+    lightboxItems = collectLightboxItems();
+    const activeVariant = getLightboxMedia({ messageId, index })?.activeIndex ?? 0;
+    const position = lightboxItems.findIndex(item => item.messageId === messageId && item.index === index && item.variant === activeVariant);
+    if (position === -1) return;
+    showLightboxItem(position);
+    lb.showModal();
+}
 
-    const ext = imageUrl.split('.').pop().split('?')[0] || 'png';
-    const charName = name2 || '';
+/** Chat-wide media browser singleton (/phone-gallery) */
+let galleryBrowserEl = null;
 
-    const uploadResponse = await fetch('/api/images/upload', {
-        method: 'POST',
-        headers: getRequestHeaders(),
-        body: JSON.stringify({
-            image: base64,
-            format: ext,
-            ch_name: charName,
-        }),
-    });
+/**
+ * @typedef {object} PhoneMediaItem
+ * @property {'image'|'voice_note'|'video'|'location'} kind
+ * @property {string} key - Unique selection key
+ * @property {number} messageId
+ * @property {number|null} swipeId - Swipe the media belongs to, or null for the swipe shown
+ * @property {number} index - Image slot index, or N of `vnN` / `vidN` / `locN`
+ * @property {number} [variant] - Index into the image slot's urls
+ * @property {string} [url] - Image variant URL, or the shown clip's video file or first frame
+ * @property {boolean} [saved] - Image variant is in the gallery
+ * @property {string} [text] - Voice note text, clip prompt, or place name and address
+ * @property {number} [duration] - Voice note duration in seconds, if known
+ * @property {string} author
+ */
 
-    if (!uploadResponse.ok) {
-        const err = await uploadResponse.json().catch(() => ({}));
-        throw new Error(err.error || 'Gallery upload failed');
-    }
+/**
+ * Collect every image variant, voice note, clip and location stored in the current chat's
+ * phoneMedia, including the media of swipes that aren't shown.
+ * @returns {PhoneMediaItem[]}
+ */
+function collectPhoneMedia() {
+    const items = [];
+    chat.forEach((message, messageId) => {
+        const author = message?.is_user ? (message.name || name1) : getMessageAuthor(message);
+
+        for (const { swipeId, phoneMedia } of getMessageMediaSets(message)) {
+            const keyPrefix = swipeId === null ? messageId : `${messageId}:s${swipeId}`;
+            for (const [key, media] of Object.entries(phoneMedia)) {
+                if (media?.type === 'image') {
+                    const index = Number(key);
+                    getImageUrls(media).forEach((url, variant) => items.push({
+                        kind: 'image',
+                        key: `${keyPrefix}:${index}:${variant}`,
+                        messageId,
+                        swipeId,
+                        index,
+                        variant,
+                        url,
+                        saved: !!media.savedToGallery?.includes(variant),
+                        author,
+                    }));
+                } else if (media?.type === 'voice_note') {
+                    const index = Number(key.replace('vn', ''));
+                    items.push({
+                        kind: 'voice_note',
+                        key: `${keyPrefix}:${key}`,
+                        messageId,
+                        swipeId,
+                        index,
+                        text: media.text || '',
+                        duration: media.duration,
+                        author,
+                    });
+                } else if (media?.type === 'video' && media.clips?.length) {
+                    const clip = media.clips[media.activeIndex ?? 0] || media.clips[0];
+                    items.push({
+                        kind: 'video',
+                        key: `${keyPrefix}:${key}`,
+                        messageId,
+                        swipeId,
+                        index: Number(key.replace('vid', '')),
+                        url: clip.url || clip.frames?.[0] || '',
+                        text: media.prompt || '',
+                        author,
+                    });
+                } else if (media?.type === 'location') {
+                    items.push({
+                        kind: 'location',
+                        key: `${keyPrefix}:${key}`,
+                        messageId,
+                        swipeId,
+                        index: Number(key.replace('loc', '')),
+                        text: [media.name, media.address].filter(Boolean).join(', '),
+                        author,
+                    });
+                }
+            }
+        }
+    });
+    return items;
 }
 
 /**
- * Find the Nth placeholder element in the rendered message by data attribute,
- * falling back to content-based matching.
- * @param {JQuery} mesText - The .mes_text element
- * @param {string} dataAttr - e.g. 'data-phone-img'
- * @param {number} index - The index to find
- * @param {string} fallbackContent - Content to search for (emoji)
- * @returns {JQuery|null}
+ * List a message's phoneMedia sets: the one shown, then those stored for other swipes.
+ * After a reload the shown set and its swipe's copy are no longer the same object, so
+ * the shown swipe's `swipe_info` entry is skipped rather than compared.
+ * @param {object} message
+ * @returns {Array<{ swipeId: number|null, phoneMedia: object }>} swipeId is null for the shown set
  */
-function findPlaceholder(mesText, dataAttr, index, fallbackContent) {
-    const isVn = dataAttr === 'data-phone-vn';
+function getMessageMediaSets(message) {
+    const sets = [];
+    const shown = message?.extra?.phoneMedia;
+    if (shown) sets.push({ swipeId: null, phoneMedia: shown });
+    (message?.swipe_info || []).forEach((info, swipeId) => {
+        const phoneMedia = info?.extra?.phoneMedia;
+        if (phoneMedia && swipeId !== message.swipe_id && phoneMedia !== shown) sets.push({ swipeId, phoneMedia });
+    });
+    return sets;
+}
 
-    // Try exact data attribute match first
-    const byAttr = mesText.find(`[${dataAttr}="${index}"]`);
-    if (byAttr.length) return byAttr.first();
+/**
+ * Get the phoneMedia of a message's swipe (null for the one shown).
+ * @param {object} message
+ * @param {number|null} swipeId
+ * @returns {object|undefined}
+ */
+function getSwipePhoneMedia(message, swipeId) {
+    return swipeId === null || swipeId === undefined ? message?.extra?.phoneMedia : message?.swipe_info?.[swipeId]?.extra?.phoneMedia;
+}
 
-    if (isVn) {
-        // Try any [data-phone-vn] attribute (LLM may use wrong index value)
-        const anyVnAttr = mesText.find('[data-phone-vn]').not('.phone-vn-wrapper [data-phone-vn]');
-        if (anyVnAttr.length) return anyVnAttr.eq(Math.min(index, anyVnAttr.length - 1));
+/**
+ * Get or create the media browser dialog.
+ * @returns {HTMLDialogElement}
+ */
+function getGalleryBrowser() {
+    if (galleryBrowserEl) return galleryBrowserEl;
+
+    galleryBrowserEl = document.createElement('dialog');
+    galleryBrowserEl.className = 'phone-composer phone-gallery';
+    galleryBrowserEl.innerHTML = `
+        <div class="phone-composer-title">Phone media</div>
+        <div class="phone-gallery-filters">
+            <select class="text_pole phone-gallery-kind" title="Type">
+                <option value="">All media</option>
+                <option value="image">Photos</option>
+                <option value="voice_note">Voice notes</option>
+                <option value="video">Clips</option>
+                <option value="location">Locations</option>
+            </select>
+            <select class="text_pole phone-gallery-saved" title="Gallery state">
+                <option value="">Saved or not</option>
+                <option value="saved">Saved</option>
+                <option value="unsaved">Not saved</option>
+            </select>
+            <select class="text_pole phone-gallery-author" title="Character"></select>
+            <input class="text_pole phone-gallery-from" type="number" min="0" placeholder="From #" title="First message" />
+            <input class="text_pole phone-gallery-to" type="number" min="0" placeholder="To #" title="Last message" />
+        </div>
+        <div class="phone-gallery-grid"></div>
+        <div class="phone-img-editor-actions phone-gallery-actions">
+            <span class="phone-gallery-status"></span>
+            <button class="phone-gallery-export-btn" title="Download every photo and voice note in this chat as a ZIP">Export ZIP</button>
+            <button class="phone-gallery-import-btn" title="Restore photos and voice notes from an exported ZIP">Import ZIP</button>
+            <button class="phone-gallery-cleanup-btn" title="Delete image files from this chat that no message uses any more">Clean up</button>
+            <button class="phone-gallery-select-all-btn">Select all</button>
+            <button class="phone-img-save-gen-btn phone-gallery-save-btn" disabled>Save selected to gallery</button>
+            <button class="phone-gallery-close-btn">Close</button>
+        </div>`;
+    document.body.appendChild(galleryBrowserEl);
+
+    const dialog = $(galleryBrowserEl);
+    const grid = dialog.find('.phone-gallery-grid');
+    const status = dialog.find('.phone-gallery-status');
+    const saveBtn = dialog.find('.phone-gallery-save-btn');
+
+    /** @type {Set<string>} Keys of selected (unsaved) image variants */
+    const selected = new Set();
+    let items = [];
+    let saving = false;
+
+    const getVisibleItems = () => {
+        const kind = dialog.find('.phone-gallery-kind').val();
+        const savedFilter = dialog.find('.phone-gallery-saved').val();
+        const author = dialog.find('.phone-gallery-author').val();
+        const from = dialog.find('.phone-gallery-from').val();
+        const to = dialog.find('.phone-gallery-to').val();
+
+        return items.filter(item => {
+            if (kind && item.kind !== kind) return false;
+            // Only images have a gallery state
+            if (savedFilter && (item.kind !== 'image' || item.saved !== (savedFilter === 'saved'))) return false;
+            if (author && item.author !== author) return false;
+            if (from !== '' && item.messageId < Number(from)) return false;
+            if (to !== '' && item.messageId > Number(to)) return false;
+            return true;
+        });
+    };
 
-        // Try DOMPurify-prefixed class (LLM mimicking extension HTML)
-        const byCustomClass = mesText.find('[class*="custom-phone-vn"]').not('.phone-vn-wrapper [class*="custom-phone-vn"]');
-        if (byCustomClass.length) return byCustomClass.eq(Math.min(index, byCustomClass.length - 1));
-    }
+    const updateStatus = () => {
+        if (saving) return;
+        status.text(selected.size ? `${selected.size} selected` : `${getVisibleItems().length} items`);
+        saveBtn.prop('disabled', !selected.size);
+    };
 
-    // Fallback: find by content — prefer innermost matching element for VN
-    const candidates = [];
-    mesText.find('div').each(function () {
-        const el = $(this);
-        if (el.closest('.phone-vn-wrapper, .phone-img-wrapper').length) return;
-        const text = el.text();
-        if (text.includes(fallbackContent) && !el.find('[class^="phone-"]').length) {
-            if (isVn) {
-                // Prefer innermost: skip if a child div also matches
-                const childMatch = el.find('div').filter(function () {
-                    return $(this).text().includes(fallbackContent);
-                });
-                if (childMatch.length) return;
+    const render = () => {
+        grid.empty();
+        const visible = getVisibleItems();
+        for (const item of visible) {
+            const tile = $('<div class="phone-gallery-item"></div>').attr('data-key', item.key);
+            const jumpBtn = $('<button class="phone-gallery-jump-btn" title="Jump to message">&#8618;</button>')
+                .on('click', () => jumpToMessage(item.messageId));
+            const swipeText = item.swipeId === null ? '' : ` · swipe ${item.swipeId + 1}`;
+            const label = $('<span class="phone-gallery-label"></span>').text(`#${item.messageId}${swipeText} · ${item.author}`);
+
+            if (item.kind === 'image') {
+                // Saves made in the lightbox show up here once it closes. The lightbox only
+                // walks the swipes shown, so other swipes' photos don't open it
+                const img = $('<img class="phone-gallery-thumb" loading="lazy" alt="" />').attr('src', item.url)
+                    .on('click', () => {
+                        if (item.swipeId !== null) return;
+                        openLightbox(item.messageId, item.index);
+                        getLightbox().addEventListener('close', () => dialog.trigger('phone-gallery:refresh'), { once: true });
+                    });
+                const checkbox = $('<input type="checkbox" class="phone-gallery-select" title="Select" />')
+                    .prop('checked', selected.has(item.key))
+                    .prop('disabled', item.saved)
+                    .on('change', function () {
+                        if (this.checked) {
+                            selected.add(item.key);
+                        } else {
+                            selected.delete(item.key);
+                        }
+                        tile.toggleClass('selected', this.checked);
+                        updateStatus();
+                    });
+                tile.toggleClass('selected', selected.has(item.key)).append(img, checkbox);
+                if (item.saved) tile.append('<span class="phone-gallery-saved-badge" title="Saved to gallery">&#10003;</span>');
+            } else if (item.kind === 'video') {
+                const thumb = isVideoFile(item.url)
+                    ? $('<video class="phone-gallery-thumb" muted preload="metadata"></video>')
+                    : $('<img class="phone-gallery-thumb" loading="lazy" alt="" />');
+                thumb.attr('src', item.url).attr('title', item.text).on('click', () => jumpToMessage(item.messageId));
+                tile.append(thumb, '<span class="phone-gallery-clip-badge">&#127916;</span>');
+            } else if (item.kind === 'location') {
+                tile.addClass('phone-gallery-vn').append(
+                    $('<div class="phone-gallery-vn-text"></div>').text(`${getSettings().locPlaceholderGlyph} ${item.text}`),
+                );
+            } else {
+                const duration = formatDuration(item.duration ? Math.round(item.duration) : estimateTtsDuration(item.text));
+                tile.addClass('phone-gallery-vn').append(
+                    $('<div class="phone-gallery-vn-text"></div>').text(`▶ ${duration} — ${item.text}`),
+                );
             }
-            candidates.push(el);
+            tile.append(label, jumpBtn);
+            grid.append(tile);
+        }
+        if (!visible.length) grid.append('<div class="phone-gallery-empty">No media matches the filters</div>');
+        updateStatus();
+    };
+
+    dialog.on('phone-gallery:refresh', () => {
+        items = collectPhoneMedia();
+
+        // Keep the selection across refreshes, minus anything saved meanwhile
+        const selectable = new Set(items.filter(item => item.kind === 'image' && !item.saved).map(item => item.key));
+        for (const key of selected) {
+            if (!selectable.has(key)) selected.delete(key);
         }
+
+        const authorSelect = dialog.find('.phone-gallery-author');
+        const current = authorSelect.val();
+        const authors = [...new Set(items.map(item => item.author).filter(Boolean))].sort();
+        authorSelect.empty().append($('<option value="">All characters</option>'));
+        authors.forEach(author => authorSelect.append($('<option>').val(author).text(author)));
+        authorSelect.val(authors.includes(current) ? current : '');
+
+        render();
     });
 
-    if (isVn && !candidates.length) {
-        // Also match elements containing "Voice note" text
-        mesText.find('div').each(function () {
-            const el = $(this);
-            if (el.closest('.phone-vn-wrapper, .phone-img-wrapper').length) return;
-            if (/voice\s*note/i.test(el.text()) && !el.find('[class^="phone-"]').length) {
-                const childMatch = el.find('div').filter(function () {
-                    return /voice\s*note/i.test($(this).text());
-                });
-                if (childMatch.length) return;
-                candidates.push(el);
+    dialog.find('.phone-gallery-filters').on('input change', render);
+
+    dialog.find('.phone-gallery-select-all-btn').on('click', () => {
+        for (const item of getVisibleItems()) {
+            if (item.kind === 'image' && !item.saved) selected.add(item.key);
+        }
+        render();
+    });
+
+    saveBtn.on('click', async () => {
+        if (saving || !selected.size) return;
+        saving = true;
+        saveBtn.prop('disabled', true);
+
+        const toSave = items.filter(item => selected.has(item.key));
+        let failed = 0;
+        for (let i = 0; i < toSave.length; i++) {
+            status.text(`Saving ${i + 1}/${toSave.length}…`);
+            const item = toSave[i];
+            try {
+                await saveImageVariantToGallery(item.messageId, item.index, item.variant, item.swipeId);
+            } catch (error) {
+                failed++;
+                console.error(`[${MODULE_NAME}] Gallery save failed for message ${item.messageId} image #${item.index}:`, error);
             }
-        });
-    }
+        }
 
-    if (candidates[index]) return $(candidates[index]);
+        saving = false;
+        if (failed) toastr.warning(`${failed} of ${toSave.length} images could not be saved`, 'Phone gallery');
+        else toastr.success(`Saved ${toSave.length} images to the gallery`, 'Phone gallery');
+        selected.clear();
+        dialog.trigger('phone-gallery:refresh');
+    });
 
-    return null;
+    dialog.find('.phone-gallery-export-btn').on('click', async function () {
+        const button = $(this).prop('disabled', true);
+        try {
+            await exportPhoneMedia();
+        } catch (error) {
+            console.error(`[${MODULE_NAME}] Export failed:`, error);
+            toastr.error(error.message, 'Phone media export failed');
+        } finally {
+            button.prop('disabled', false);
+        }
+    });
+
+    // The chat reloads after an import, so the browser is closed first
+    dialog.find('.phone-gallery-import-btn').on('click', () => {
+        galleryBrowserEl.close();
+        pickAndImportPhoneMedia();
+    });
+
+    dialog.find('.phone-gallery-cleanup-btn').on('click', async () => {
+        if (await cleanupUnusedImages()) dialog.trigger('phone-gallery:refresh');
+    });
+
+    dialog.find('.phone-gallery-close-btn').on('click', () => galleryBrowserEl.close());
+
+    return galleryBrowserEl;
 }
 
 /**
- * Restore a previously generated image into its placeholder.
- * @param {JQuery} mesText
- * @param {object} media - { urls, activeIndex, type, prompt } or legacy { url, type, prompt }
- * @param {number} index
+ * Open the chat-wide media browser with fresh contents.
  */
-function restoreImage(mesText, media, index) {
-    const placeholder = findPlaceholder(mesText, 'data-phone-img', index, '\uD83D\uDCF8');
-    const urls = media.urls || [media.url];
-    const activeIndex = media.activeIndex || 0;
-    const currentUrl = urls[activeIndex] || urls[0];
-    const savedIndices = media.savedToGallery || [];
-    const container = buildImageContainer(currentUrl, media.prompt, urls.length, activeIndex, savedIndices);
-    if (placeholder) {
-        placeholder.replaceWith(container);
-    } else {
-        mesText.append(container);
+function openGalleryBrowser() {
+    const browser = getGalleryBrowser();
+    $(browser).trigger('phone-gallery:refresh');
+    browser.showModal();
+}
+
+/**
+ * Scroll a message into view and briefly highlight it. Messages outside the
+ * loaded part of the chat can't be scrolled to; the user is told instead.
+ * @param {number} messageId
+ */
+function jumpToMessage(messageId) {
+    const mes = $(`#chat .mes[mesid="${messageId}"]`);
+    if (!mes.length) {
+        toastr.info(`Message #${messageId} isn't loaded. Use "Show more messages" at the top of the chat.`, 'Phone gallery');
+        return;
     }
+    galleryBrowserEl?.close();
+    mes[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+    mes.addClass('phone-gallery-flash');
+    setTimeout(() => mes.removeClass('phone-gallery-flash'), 2000);
 }
 
 /**
- * Build the interactive image container HTML with carousel navigation.
- * @param {string} url
+ * Image and clip files this extension created in the current chat (generated, uploaded or imported).
+ * Kept in chat metadata so files that no message references any more can be found and removed.
+ * Branches and checkpoints copy chat metadata, so the list stores the id of its chat. A list
+ * found in another chat (a copy, or a renamed chat) is registered for this chat as well
+ * (see listImageFileChat), so the files count as shared until the other chat is gone.
+ * @returns {string[]}
+ */
+function getTrackedImageFiles() {
+    if (!chat_metadata[MODULE_NAME]) chat_metadata[MODULE_NAME] = {};
+    const metadata = chat_metadata[MODULE_NAME];
+    if (!Array.isArray(metadata.imageFiles)) metadata.imageFiles = [];
+
+    const chatId = getCurrentChatId();
+    if (chatId && metadata.chatId !== chatId) {
+        metadata.imageFiles.forEach(url => listImageFileChat(url, chatId));
+        metadata.chatId = chatId;
+        saveMetadataDebounced();
+    }
+    return metadata.imageFiles;
+}
+
+/**
+ * The character avatar or group id whose chats share files. Branches and checkpoints
+ * always belong to the same character or group as the chat they were made from.
+ * @returns {string|null}
+ */
+function getImageFileOwner() {
+    return selected_group || characters[this_chid]?.avatar || null;
+}
+
+/**
+ * The current character's or group's part of the file registry (`url → chat ids`),
+ * shared by all chats in settings.
+ * @returns {Object<string, string[]>|null}
+ */
+function getImageFileRegistry() {
+    const owner = getImageFileOwner();
+    if (!owner) return null;
+    const registry = getSettings().imageFileChats;
+    return registry[owner] || (registry[owner] = {});
+}
+
+/**
+ * Record that a chat lists an image file in the shared registry.
+ * @param {string} url
+ * @param {string} chatId
+ */
+function listImageFileChat(url, chatId) {
+    const registry = getImageFileRegistry();
+    if (!chatId || !registry) return;
+    const chats = registry[url] || (registry[url] = []);
+    if (chats.includes(chatId)) return;
+    chats.push(chatId);
+    saveSettingsDebounced();
+}
+
+/**
+ * Check whether a chat other than the current one lists an image file, as its own or
+ * as inherited from the chat it was branched from.
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isImageFileListedElsewhere(url) {
+    const chatId = getCurrentChatId();
+    return (getImageFileRegistry()?.[url] || []).some(id => id !== chatId);
+}
+
+/**
+ * Drop chats that no longer exist (deleted or renamed outside the extension) from the
+ * current character's or group's registry, so they stop holding on to shared files.
+ * If the chat list can't be loaded, nothing is dropped.
+ * @returns {Promise<void>}
+ */
+async function pruneImageFileRegistry() {
+    const registry = getImageFileRegistry();
+    if (!registry) return;
+
+    let chatIds;
+    try {
+        chatIds = selected_group
+            ? groups.find(group => group.id === selected_group)?.chats
+            : (await getPastCharacterChats(this_chid))?.map(item => String(item.file_name).replace(/\.jsonl$/, ''));
+    } catch (error) {
+        console.warn(`[${MODULE_NAME}] Could not list chats to prune the file registry:`, error);
+        return;
+    }
+    if (!Array.isArray(chatIds)) return;
+
+    const existing = new Set(chatIds);
+    for (const [url, chats] of Object.entries(registry)) {
+        const remaining = chats.filter(id => existing.has(id));
+        if (remaining.length) registry[url] = remaining; else delete registry[url];
+    }
+    saveSettingsDebounced();
+}
+
+/**
+ * Record an image file created for the current chat.
+ * @param {string} url
+ */
+function trackImageFile(url) {
+    const files = getTrackedImageFiles();
+    if (files.includes(url)) return;
+    files.push(url);
+    listImageFileChat(url, getCurrentChatId());
+    saveMetadataDebounced();
+}
+
+/**
+ * Forget an image file (after it was deleted).
+ * @param {string} url
+ */
+function untrackImageFile(url) {
+    const files = getTrackedImageFiles();
+    const index = files.indexOf(url);
+    if (index === -1) return;
+    files.splice(index, 1);
+    const registry = getImageFileRegistry();
+    if (registry) delete registry[url];
+    saveSettingsDebounced();
+    saveMetadataDebounced();
+}
+
+/**
+ * Drop a deleted chat from the file registry, so its files no longer block cleanup elsewhere.
+ * @param {string} chatId
+ */
+function onChatDeleted(chatId) {
+    for (const registry of Object.values(getSettings().imageFileChats)) {
+        for (const [url, chats] of Object.entries(registry)) {
+            const remaining = chats.filter(id => id !== chatId);
+            if (remaining.length) registry[url] = remaining; else delete registry[url];
+        }
+    }
+    saveSettingsDebounced();
+}
+
+/**
+ * Drop a deleted character's part of the file registry.
+ * @param {{ character?: { avatar?: string } }} data
+ */
+function onCharacterDeleted(data) {
+    const avatar = data?.character?.avatar;
+    if (!avatar || !getSettings().imageFileChats[avatar]) return;
+    delete getSettings().imageFileChats[avatar];
+    saveSettingsDebounced();
+}
+
+/**
+ * Image files that must not be deleted even when no message shows them: reference images
+ * (see setReferenceImage) point at generated files.
+ * @returns {Set<string>}
+ */
+function getProtectedImageUrls() {
+    return new Set(Object.values(getSettings().referenceImages || {}).filter(Boolean));
+}
+
+/**
+ * Collect every image and clip file URL referenced by the chat, including inactive swipes.
+ * @returns {Set<string>}
+ */
+function collectReferencedImageUrls() {
+    const urls = new Set();
+    for (const message of chat) {
+        for (const { phoneMedia } of getMessageMediaSets(message)) {
+            for (const media of Object.values(phoneMedia)) {
+                if (media?.type === 'image') getImageUrls(media).forEach(url => urls.add(url));
+                if (media?.type === 'video') getClipFiles(media).forEach(url => urls.add(url));
+            }
+        }
+    }
+    return urls;
+}
+
+/**
+ * List every file of a clip slot: video files and loop frames.
+ * @param {object} media - A phoneMedia['vidN'] entry
+ * @returns {string[]}
+ */
+function getClipFiles(media) {
+    return (media?.clips || []).flatMap(clip => [clip.url, ...(clip.frames || [])]).filter(Boolean);
+}
+
+/**
+ * Delete a tracked file. Clip videos live in the user files area, everything else in the user images folder.
+ * @param {string} url
+ * @returns {Promise<void>}
+ */
+async function deleteTrackedFile(url) {
+    if (url.startsWith('/user/files/')) return deleteUserFile(url);
+    return deleteImageFile(url);
+}
+
+/**
+ * Delete a file from the user images folder. A file that is already gone counts as deleted.
+ * @param {string} url - Server-relative URL (e.g. /user/images/Name/foo.png)
+ * @returns {Promise<void>}
+ */
+async function deleteImageFile(url) {
+    const response = await fetch('/api/images/delete', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ path: url.replace(/^\//, '') }),
+    });
+    if (!response.ok && response.status !== 404) throw new Error(`Image delete failed: ${response.status}`);
+}
+
+/**
+ * Delete image files that nothing in the chat references any more and stop tracking them.
+ * Files still referenced (e.g. by another swipe), set as a reference image, not tracked by
+ * this chat, or listed by another existing chat (a branch or checkpoint) are kept.
+ * @param {string[]} urls
+ * @returns {Promise<number>} How many files were deleted
+ */
+async function removeUnreferencedImageFiles(urls) {
+    await pruneImageFileRegistry();
+    const referenced = collectReferencedImageUrls();
+    const protectedUrls = getProtectedImageUrls();
+    const tracked = getTrackedImageFiles();
+    let deleted = 0;
+    for (const url of urls) {
+        if (referenced.has(url) || protectedUrls.has(url) || !tracked.includes(url) || isImageFileListedElsewhere(url)) continue;
+        try {
+            await deleteTrackedFile(url);
+            untrackImageFile(url);
+            deleted++;
+        } catch (error) {
+            console.warn(`[${MODULE_NAME}] Could not delete ${url}:`, error);
+        }
+    }
+    return deleted;
+}
+
+/**
+ * Delete one variant of an image slot, file included. The last remaining variant can't be deleted.
+ * @param {number} messageId
+ * @param {number} index - Image slot index
+ * @param {number} variant - Index into the slot's urls
+ * @returns {Promise<boolean>} Whether the variant was removed
+ */
+async function deleteImageVariant(messageId, index, variant) {
+    const media = chat[messageId]?.extra?.phoneMedia?.[index];
+    const urls = getImageUrls(media);
+    if (urls.length < 2 || !urls[variant]) return false;
+
+    const removed = urls[variant];
+    media.urls = urls.filter((_, i) => i !== variant);
+    if (media.variants) media.variants = media.variants.filter((_, i) => i !== variant);
+    delete media.url;
+    media.savedToGallery = (media.savedToGallery || []).filter(i => i !== variant).map(i => (i > variant ? i - 1 : i));
+    // Stay on the same image if a variant before it went away, else show the previous one
+    const activeIndex = media.activeIndex ?? 0;
+    if (activeIndex > variant || (activeIndex === variant && activeIndex > 0)) media.activeIndex = activeIndex - 1;
+
+    await saveChatConditional();
+    await removeUnreferencedImageFiles([removed]);
+    console.log(`[${MODULE_NAME}] Deleted variant ${variant} of image #${index} in message ${messageId}`);
+    return true;
+}
+
+/**
+ * Delete every variant of an image slot except the one shown.
+ * @param {number} messageId
+ * @param {number} index - Image slot index
+ * @returns {Promise<number>} How many variants were removed
+ */
+async function keepOnlyActiveVariant(messageId, index) {
+    const media = chat[messageId]?.extra?.phoneMedia?.[index];
+    const urls = getImageUrls(media);
+    if (urls.length < 2) return 0;
+
+    const activeIndex = Math.min(media.activeIndex ?? 0, urls.length - 1);
+    const removed = urls.filter((_, i) => i !== activeIndex);
+    media.urls = [urls[activeIndex]];
+    if (media.variants) media.variants = [media.variants[activeIndex] ?? {}];
+    delete media.url;
+    media.savedToGallery = media.savedToGallery?.includes(activeIndex) ? [0] : [];
+    media.activeIndex = 0;
+
+    await saveChatConditional();
+    await removeUnreferencedImageFiles(removed);
+    console.log(`[${MODULE_NAME}] Kept only variant ${activeIndex} of image #${index} in message ${messageId}`);
+    return removed.length;
+}
+
+/**
+ * Find image files created for this chat that no message references any more (deleted
+ * messages, swiped-away replies, discarded variants, cancelled jobs) and offer to delete them.
+ * @returns {Promise<number>} How many files were deleted
+ */
+async function cleanupUnusedImages() {
+    await pruneImageFileRegistry();
+    const referenced = collectReferencedImageUrls();
+    const protectedUrls = getProtectedImageUrls();
+    const unused = getTrackedImageFiles().filter(url => !referenced.has(url) && !protectedUrls.has(url) && !isImageFileListedElsewhere(url));
+    if (!unused.length) {
+        toastr.info('No unused image files found in this chat', 'Phone media cleanup');
+        return 0;
+    }
+
+    const confirmed = await callGenericPopup(
+        `${unused.length} image file(s) created for this chat are no longer used by any message. Delete them?`,
+        POPUP_TYPE.CONFIRM,
+    );
+    if (!confirmed) return 0;
+
+    const deleted = await removeUnreferencedImageFiles(unused);
+    toastr.success(`Deleted ${deleted} of ${unused.length} unused image files`, 'Phone media cleanup');
+    return deleted;
+}
+
+/**
+ * Sync a carousel's image, counter, arrows, save and delete buttons with its slot.
+ * @param {JQuery} wrapper - The .phone-img-wrapper element
+ * @param {object} media - The phoneMedia image entry
+ */
+function syncCarousel(wrapper, media) {
+    const urls = getImageUrls(media);
+    const activeIndex = media.activeIndex ?? 0;
+    const container = wrapper.find('.phone-img-container');
+
+    container.find('.phone-img').attr('src', urls[activeIndex]);
+    container.find('.phone-img-counter').text(`${activeIndex + 1}/${urls.length}`).toggle(urls.length > 1);
+    container.find('.phone-img-nav-left').toggle(activeIndex > 0);
+    // Outgoing photos only browse with the right arrow; new variants come from the prompt editor
+    container.find('.phone-img-nav-right').toggle(!wrapper.hasClass('phone-img-outgoing') || activeIndex < urls.length - 1);
+    container.find('.phone-img-delete-btn').toggle(urls.length > 1);
+    wrapper.find('.phone-img-keep-btn').toggle(urls.length > 1);
+
+    const isSaved = !!media.savedToGallery?.includes(activeIndex);
+    container.find('.phone-img-gallery-btn').toggleClass('saved', isSaved)
+        .html(isSaved ? '&#10003;' : '&#8615;')
+        .attr('title', isSaved ? 'Saved to gallery' : 'Save to gallery')
+        .css('color', '');
+}
+
+/** Identifies phone media ZIP bundles; bump the version when the manifest layout changes */
+const MEDIA_BUNDLE_FORMAT = 'phone-ui-media';
+const MEDIA_BUNDLE_VERSION = 3;
+
+/**
+ * Fetch a media file for export.
+ * @param {string} url
+ * @returns {Promise<Uint8Array|null>} The file contents, or null if it couldn't be fetched
+ */
+async function fetchMediaFile(url) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return new Uint8Array(await response.arrayBuffer());
+    } catch (error) {
+        console.warn(`[${MODULE_NAME}] Could not fetch ${url} for export:`, error);
+        return null;
+    }
+}
+
+/**
+ * Get a file extension from a URL path, e.g. "/user/images/a.webp?x" -> "webp".
+ * @param {string} url
+ * @param {string} fallback
+ * @returns {string}
+ */
+function getUrlExtension(url, fallback) {
+    const match = url.split('?')[0].match(/\.([a-z0-9]+)$/i);
+    return match ? match[1].toLowerCase() : fallback;
+}
+
+/**
+ * Export every image variant, voice note, clip and location of the current chat as a ZIP
+ * bundle: files under images/, voice/ and clips/, plus a manifest.json that maps them back
+ * to message id, swipe, slot index and variant along with prompts and voice note text.
+ * Swipes that aren't shown are included (version 2 bundles), and so are clips and
+ * locations (version 3).
+ * @returns {Promise<void>}
+ */
+async function exportPhoneMedia() {
+    const files = [];
+    const items = [];
+    let missing = 0;
+
+    toastr.info('Collecting photos, voice notes and clips…', 'Phone media export');
+
+    for (let messageId = 0; messageId < chat.length; messageId++) {
+        const message = chat[messageId];
+        for (const set of getMessageMediaSets(message)) {
+            // Items name their swipe, the shown one included, so import finds it even if another swipe is shown by then
+            const swipeId = set.swipeId ?? (Array.isArray(message.swipes) ? message.swipe_id : undefined);
+            const fileTag = set.swipeId === null ? '' : `-s${set.swipeId}`;
+
+            for (const [key, media] of Object.entries(set.phoneMedia)) {
+                if (media?.type === 'image') {
+                    const index = Number(key);
+                    const urls = getImageUrls(media);
+                    for (let variant = 0; variant < urls.length; variant++) {
+                        const data = await fetchMediaFile(urls[variant]);
+                        const file = data ? `images/m${messageId}${fileTag}-i${index}-v${variant}.${getUrlExtension(urls[variant], 'png')}` : null;
+                        if (data) {
+                            files.push({ name: file, data });
+                        } else {
+                            missing++;
+                        }
+                        items.push({
+                            kind: 'image',
+                            messageId,
+                            swipeId,
+                            index,
+                            variant,
+                            file,
+                            originalUrl: urls[variant],
+                            prompt: media.prompt || '',
+                            description: media.description,
+                            source: media.source,
+                            active: (media.activeIndex ?? 0) === variant,
+                            savedToGallery: !!media.savedToGallery?.includes(variant),
+                        });
+                    }
+                } else if (media?.type === 'voice_note') {
+                    const index = Number(key.replace('vn', ''));
+                    let file = null;
+                    if (media.audioUrl) {
+                        const data = await fetchMediaFile(media.audioUrl);
+                        if (data) {
+                            file = `voice/m${messageId}${fileTag}-vn${index}.${getUrlExtension(media.audioUrl, 'mp3')}`;
+                            files.push({ name: file, data });
+                        } else {
+                            missing++;
+                        }
+                    }
+                    // Cache metadata travels along so imported TTS audio is still recognized as current
+                    items.push({
+                        kind: 'voice_note',
+                        messageId,
+                        swipeId,
+                        index,
+                        file,
+                        originalUrl: media.audioUrl || null,
+                        text: media.text || '',
+                        voice: media.voice,
+                        source: media.source,
+                        duration: media.duration,
+                        peaks: media.peaks,
+                        renderedVoice: media.renderedVoice,
+                        voiceKey: media.voiceKey,
+                        textHash: media.textHash,
+                    });
+                } else if (media?.type === 'video') {
+                    const index = Number(key.replace('vid', ''));
+                    const { clips = [], ...fields } = media;
+                    const exportedClips = [];
+                    for (const [clipIndex, clip] of clips.entries()) {
+                        const { url, frames, ...clipFields } = clip;
+                        const exported = { ...clipFields };
+                        const stem = `clips/m${messageId}${fileTag}-vid${index}-c${clipIndex}`;
+                        if (url) {
+                            const data = await fetchMediaFile(url);
+                            exported.file = data ? `${stem}.${getUrlExtension(url, 'mp4')}` : null;
+                            if (data) {
+                                files.push({ name: exported.file, data });
+                            } else {
+                                missing++;
+                            }
+                        }
+                        if (frames) {
+                            exported.frames = [];
+                            for (const [frameIndex, frame] of frames.entries()) {
+                                const data = await fetchMediaFile(frame);
+                                const file = data ? `${stem}-f${frameIndex}.${getUrlExtension(frame, 'png')}` : null;
+                                if (data) {
+                                    files.push({ name: file, data });
+                                } else {
+                                    missing++;
+                                }
+                                exported.frames.push(file);
+                            }
+                        }
+                        exportedClips.push(exported);
+                    }
+                    items.push({ kind: 'video', messageId, swipeId, index, media: fields, clips: exportedClips });
+                } else if (media?.type === 'location') {
+                    // Location cards are drawn offline, so the entry is all there is to keep
+                    items.push({ kind: 'location', messageId, swipeId, index: Number(key.replace('loc', '')), media });
+                }
+            }
+        }
+    }
+
+    if (!items.length) {
+        toastr.warning('This chat has no phone media', 'Phone media export');
+        return;
+    }
+
+    const manifest = {
+        format: MEDIA_BUNDLE_FORMAT,
+        version: MEDIA_BUNDLE_VERSION,
+        chatId: getCurrentChatId(),
+        exportedAt: new Date().toISOString(),
+        items,
+    };
+    files.unshift({ name: 'manifest.json', data: new TextEncoder().encode(JSON.stringify(manifest, null, 2)) });
+
+    const fileName = `phone-media-${getCurrentChatId() || 'chat'}.zip`.replace(/[\\/:*?"<>|]/g, '_');
+    download(createZip(files), fileName, 'application/zip');
+
+    const summary = `Exported ${files.length - 1} files for ${items.length} items`;
+    if (missing) {
+        toastr.warning(`${summary}; ${missing} files could not be fetched`, 'Phone media export');
+    } else {
+        toastr.success(summary, 'Phone media export');
+    }
+    console.log(`[${MODULE_NAME}] ${summary} (${missing} missing)`);
+}
+
+/**
+ * Get the phoneMedia an imported item goes into, creating it if needed: the shown media for
+ * the swipe shown (or for bundles without swipe ids), else the swipe's own media.
+ * @param {object} message
+ * @param {number} [swipeId]
+ * @returns {object|null} Null when the message has no such swipe
+ */
+function getImportTarget(message, swipeId) {
+    if (!message.extra) message.extra = {};
+    if (swipeId === undefined || swipeId === null || swipeId === message.swipe_id) {
+        if (!message.extra.phoneMedia || isMediaOfOtherSwipe(message)) message.extra.phoneMedia = {};
+        linkSwipeMedia(message);
+        return message.extra.phoneMedia;
+    }
+
+    const swipeInfo = message.swipe_info?.[swipeId];
+    if (!swipeInfo) return null;
+    if (!swipeInfo.extra) swipeInfo.extra = {};
+    if (!swipeInfo.extra.phoneMedia) swipeInfo.extra.phoneMedia = {};
+    return swipeInfo.extra.phoneMedia;
+}
+
+/**
+ * Import a ZIP bundle made by exportPhoneMedia into the current chat. Files are uploaded
+ * to this install and the matching phoneMedia entries are re-linked to the new URLs;
+ * entries missing from the chat are recreated from the manifest. Messages that don't
+ * exist in this chat are skipped.
+ * @param {File} zipFile
+ * @returns {Promise<void>}
+ */
+async function importPhoneMedia(zipFile) {
+    const entries = await readZip(await zipFile.arrayBuffer());
+    const manifestData = entries.get('manifest.json');
+    if (!manifestData) throw new Error('manifest.json is missing; not a phone media bundle');
+
+    const manifest = JSON.parse(new TextDecoder().decode(manifestData));
+    if (manifest.format !== MEDIA_BUNDLE_FORMAT || !Array.isArray(manifest.items)) {
+        throw new Error('Not a phone media bundle');
+    }
+    if (manifest.version > MEDIA_BUNDLE_VERSION) {
+        throw new Error(`Bundle version ${manifest.version} is newer than this extension supports`);
+    }
+
+    toastr.info('Uploading photos, voice notes and clips…', 'Phone media import');
+
+    let restored = 0;
+    let skipped = 0;
+    const createdImages = new Set();
+
+    for (const item of manifest.items) {
+        const message = chat[item.messageId];
+        if (!message || message.is_system) {
+            skipped++;
+            continue;
+        }
+        const phoneMedia = getImportTarget(message, item.swipeId);
+        if (!phoneMedia) {
+            skipped++;
+            continue;
+        }
+        const data = item.file ? entries.get(item.file) : null;
+
+        try {
+            if (item.kind === 'image') {
+                if (!phoneMedia[item.index]) {
+                    phoneMedia[item.index] = { urls: [], type: 'image', prompt: item.prompt, activeIndex: 0, status: 'done' };
+                    if (item.description) phoneMedia[item.index].description = item.description;
+                    if (item.source) phoneMedia[item.index].source = item.source;
+                    createdImages.add(phoneMedia[item.index]);
+                }
+                const media = phoneMedia[item.index];
+                if (media.type !== 'image') {
+                    skipped++;
+                    continue;
+                }
+                if (!data) continue;
+
+                // Migrate legacy format before writing the variant
+                media.urls = [...getImageUrls(media)];
+                delete media.url;
+
+                const ext = getUrlExtension(item.file, 'png');
+                media.urls[item.variant] = await uploadImage(await blobToBase64(new Blob([data])), ext, getGalleryFolder(message));
+                trackImageFile(media.urls[item.variant]);
+                if (!media.prompt && item.prompt) media.prompt = item.prompt;
+                if (createdImages.has(media) && item.active) media.activeIndex = item.variant;
+                media.status = 'done';
+                restored++;
+            } else if (item.kind === 'voice_note') {
+                const key = `vn${item.index}`;
+                if (!phoneMedia[key]) {
+                    phoneMedia[key] = { type: 'voice_note', text: item.text };
+                    if (item.voice) phoneMedia[key].voice = item.voice;
+                }
+                const media = phoneMedia[key];
+                if (media.type !== 'voice_note') {
+                    skipped++;
+                    continue;
+                }
+                if (!data) continue;
+
+                const ext = getUrlExtension(item.file, 'mp3');
+                const prefix = item.source === 'recorded' ? 'phone-vn' : 'phone-vn-tts';
+                media.audioUrl = await uploadUserFile(await blobToBase64(new Blob([data])), `${prefix}-${Date.now()}-${item.messageId}-${item.index}.${ext}`);
+                for (const field of ['source', 'duration', 'peaks', 'renderedVoice', 'voiceKey', 'textHash']) {
+                    if (item[field] !== undefined) media[field] = item[field];
+                }
+                restored++;
+            } else if (item.kind === 'video') {
+                const key = `vid${item.index}`;
+                if (!phoneMedia[key]) phoneMedia[key] = { ...item.media, type: 'video', clips: [], activeIndex: 0 };
+                const media = phoneMedia[key];
+                if (media.type !== 'video') {
+                    skipped++;
+                    continue;
+                }
+
+                // Clips are replaced by position, like image variants
+                media.clips = [...(media.clips || [])];
+                for (const [clipIndex, exported] of (item.clips || []).entries()) {
+                    const { file, frames, ...clipFields } = exported;
+                    const clip = { ...clipFields };
+                    if (file && entries.get(file)) {
+                        const name = `phone-vid-${Date.now()}-${item.messageId}-${item.index}-${clipIndex}.${getUrlExtension(file, 'mp4')}`;
+                        clip.url = await uploadUserFile(await blobToBase64(new Blob([entries.get(file)])), name);
+                        trackImageFile(clip.url);
+                        restored++;
+                    }
+                    if (frames) {
+                        clip.frames = [];
+                        for (const frame of frames.filter(frameFile => frameFile && entries.get(frameFile))) {
+                            const url = await uploadImage(await blobToBase64(new Blob([entries.get(frame)])), getUrlExtension(frame, 'png'), getGalleryFolder(message));
+                            trackImageFile(url);
+                            clip.frames.push(url);
+                            restored++;
+                        }
+                    }
+                    if (clip.url || clip.frames?.length) media.clips[clipIndex] = clip;
+                }
+                media.clips = media.clips.filter(Boolean);
+                media.activeIndex = Math.min(media.activeIndex ?? 0, Math.max(0, media.clips.length - 1));
+                media.status = media.clips.length ? 'done' : 'failed';
+            } else if (item.kind === 'location') {
+                const key = `loc${item.index}`;
+                // Nothing to upload; a location already in the chat is left as it is
+                if (!phoneMedia[key]) phoneMedia[key] = { ...item.media, type: 'location' };
+            }
+        } catch (error) {
+            skipped++;
+            console.error(`[${MODULE_NAME}] Failed to import ${item.file}:`, error);
+        }
+    }
+
+    // Recreated slots may have gaps where a variant's file was missing from the bundle
+    for (const media of createdImages) {
+        media.urls = media.urls.filter(Boolean);
+        media.activeIndex = Math.min(media.activeIndex, Math.max(0, media.urls.length - 1));
+        if (!media.urls.length) media.status = 'failed';
+    }
+
+    // Reload so every message re-renders from scratch with the re-linked media
+    await saveChatConditional();
+    await reloadCurrentChat();
+
+    const summary = `Restored ${restored} files`;
+    if (skipped) {
+        toastr.warning(`${summary}; ${skipped} items skipped (see console)`, 'Phone media import');
+    } else {
+        toastr.success(summary, 'Phone media import');
+    }
+    console.log(`[${MODULE_NAME}] Imported ${zipFile.name}: ${restored} restored, ${skipped} skipped`);
+}
+
+/**
+ * Ask for a bundle file and import it into the current chat.
+ */
+function pickAndImportPhoneMedia() {
+    const input = $('<input type="file" accept=".zip,application/zip" />');
+    input.on('change', async function () {
+        const file = this.files?.[0];
+        if (!file) return;
+        try {
+            await importPhoneMedia(file);
+        } catch (error) {
+            console.error(`[${MODULE_NAME}] Import failed:`, error);
+            toastr.error(error.message, 'Phone media import failed');
+        }
+    });
+    input.trigger('click');
+}
+
+/** Track messages we've already processed */
+const processedMessages = new Set();
+
+/**
+ * @typedef {object} ImageJob
+ * @property {number} id
+ * @property {string} prompt
+ * @property {'queued'|'running'|'done'|'failed'|'cancelled'} status
+ * @property {Promise<string>} promise - Resolves with the generated image URL
+ * @property {() => void} cancel
+ * @property {(() => void)|null} onStart - Called when the job leaves the queue and starts generating
+ * @property {string|null} reference - Reference image URL for backends that support it
+ * @property {string} negative - Negative prompt
+ * @property {string} folder - Image folder for results the provider returns as data
+ * @property {number} width - Requested width, 0 for the provider default
+ * @property {number} height - Requested height, 0 for the provider default
+ * @property {number} seed - Requested seed, -1 for random
+ * @property {boolean} video - Generate a clip with the provider's generateVideo(); the result is a user file
+ * @property {{ seed?: number, width?: number, height?: number }} result - What the provider reported, once done
+ */
+
+/** Central image generation queue; at most `imageConcurrency` jobs run at once */
+const imageQueue = [];
+const runningImageJobs = new Set();
+let nextImageJobId = 1;
+
+/**
+ * Mark a job's promise as handled. Callers may not attach a handler before a cancel, so
+ * this avoids unhandled rejection noise; anyone awaiting the promise still gets the rejection.
+ * @template T
+ * @param {Promise<T>} promise
+ * @returns {Promise<T>} The same promise
+ */
+function ignoreUnhandledRejection(promise) {
+    promise.catch(() => {});
+    return promise;
+}
+
+/**
+ * Queue an image generation with the configured provider. The returned job's promise rejects on failure or cancel
+ * (check `job.status === 'cancelled'` to tell them apart).
+ * @param {string} prompt
+ * @param {(() => void)|null} [onStart] - Called when the job starts generating
+ * @param {object} [options]
+ * @param {string|null} [options.reference] - Reference image URL (see getReferenceImage())
+ * @param {string} [options.negative] - Negative prompt
+ * @param {string} [options.folder] - Image folder for uploaded results (defaults to the active character)
+ * @param {number} [options.width] - Pixels; 0 uses the provider default
+ * @param {number} [options.height] - Pixels; 0 uses the provider default
+ * @param {number} [options.seed] - -1 for a random seed
+ * @param {boolean} [options.video] - Generate a clip instead (check canGenerateVideo() first)
+ * @returns {ImageJob}
+ */
+function enqueueImageJob(prompt, onStart = null, { reference = null, negative = '', folder = name2, width = 0, height = 0, seed = -1, video = false } = {}) {
+    const job = {
+        id: nextImageJobId++, prompt, status: 'queued', onStart, reference, negative, folder, width, height, seed, video,
+        result: {}, abortController: null,
+    };
+    job.promise = new Promise((resolve, reject) => {
+        job.resolve = resolve;
+        job.reject = reject;
+    });
+    ignoreUnhandledRejection(job.promise);
+    job.cancel = () => cancelImageJob(job);
+    imageQueue.push(job);
+    pumpImageQueue();
+    return job;
+}
+
+/**
+ * Start queued jobs until the concurrency limit is reached.
+ */
+function pumpImageQueue() {
+    const limit = Math.max(1, getSettings().imageConcurrency || DEFAULT_SETTINGS.imageConcurrency);
+    while (runningImageJobs.size < limit && imageQueue.length) {
+        runImageJob(imageQueue.shift());
+    }
+}
+
+/**
+ * Run a single image job and settle its promise.
+ * @param {ImageJob} job
+ */
+async function runImageJob(job) {
+    runningImageJobs.add(job);
+    job.status = 'running';
+    job.abortController = new AbortController();
+    job.onStart?.();
+
+    const settings = getSettings();
+    const provider = getImageProvider(settings.imageProvider);
+    try {
+        const generate = job.video ? provider.generateVideo : provider.generate;
+        const result = await generate.call(provider, {
+            prompt: job.prompt,
+            negative: job.negative,
+            reference: job.reference,
+            width: job.width || (provider.usesEndpoint ? settings.imageWidth : 0),
+            height: job.height || (provider.usesEndpoint ? settings.imageHeight : 0),
+            steps: provider.usesEndpoint ? settings.imageSteps : 0,
+            seed: job.seed,
+            signal: job.abortController.signal,
+        }, settings);
+
+        // Track the file even if the job was cancelled meanwhile, so cleanup can find it
+        if (result?.url) trackImageFile(result.url);
+        if (job.status === 'cancelled') return;
+
+        let imageUrl = result?.url;
+        if (!imageUrl && result?.blob && job.video) {
+            // Clips go to the user files, which take any file type
+            const format = result.blob.type.split('/')[1] || 'mp4';
+            imageUrl = await uploadUserFile(await blobToBase64(result.blob), `phone-vid-${Date.now()}-${job.id}.${format}`);
+            trackImageFile(imageUrl);
+        } else if (!imageUrl && result?.blob) {
+            const format = result.blob.type.split('/')[1] || 'png';
+            imageUrl = await uploadImage(await blobToBase64(result.blob), format, job.folder);
+            trackImageFile(imageUrl);
+        }
+        if (!imageUrl) throw new Error(`${provider.name} returned no image`);
+        if (job.status === 'cancelled') return;
+
+        job.result = { seed: result.seed, width: result.width, height: result.height };
+        job.status = 'done';
+        job.resolve(imageUrl);
+    } catch (error) {
+        if (job.status === 'cancelled') return;
+        job.status = 'failed';
+        job.reject(error);
+    } finally {
+        runningImageJobs.delete(job);
+        pumpImageQueue();
+    }
+}
+
+/**
+ * Cancel a queued or running job. A running generation may still finish on the
+ * backend, but its result is discarded.
+ * @param {ImageJob} job
+ */
+function cancelImageJob(job) {
+    if (job.status !== 'queued' && job.status !== 'running') return;
+
+    const queuedIndex = imageQueue.indexOf(job);
+    if (queuedIndex !== -1) imageQueue.splice(queuedIndex, 1);
+
+    job.status = 'cancelled';
+    const error = new Error('Image generation cancelled');
+    job.abortController?.abort(error);
+    job.reject(error);
+}
+
+/**
+ * Cancel every queued and running image job (e.g. when the chat changes).
+ */
+function cancelAllImageJobs() {
+    for (const job of [...imageQueue, ...runningImageJobs]) {
+        cancelImageJob(job);
+    }
+}
+
+/**
+ * Build waveform bars HTML. Uses the note's stored peak envelope when its audio has been
+ * analysed, otherwise a pseudo-random shape seeded from the text so every note looks
+ * different but renders the same way each time.
+ * @param {string} seedText - Voice note text (seed for the fallback shape)
+ * @param {number} durationSeconds - Real or estimated duration, scales the bar count
+ * @param {number[]} [peaks] - Amplitudes (0-100) from computeAudioPeaks
+ * @returns {string}
+ */
+function buildWaveformBars(seedText, durationSeconds, peaks) {
+    const barCount = Math.min(MAX_WAVEFORM_BARS, Math.max(MIN_WAVEFORM_BARS, Math.round(MIN_WAVEFORM_BARS + durationSeconds)));
+
+    let levels;
+    if (peaks?.length) {
+        levels = resamplePeaks(peaks, barCount);
+    } else {
+        const random = seededRandom(getStringHash(seedText || ''));
+        levels = Array.from({ length: barCount }, () => 15 + Math.round(random() * 85));
+    }
+
+    return levels.map(level =>
+        `<span class="phone-vn-bar" style="height:${Math.round(4 + level / 100 * 16)}px;"></span>`,
+    ).join('');
+}
+
+/**
+ * Resample a peak envelope to a number of bars, keeping the loudest value of each span.
+ * @param {number[]} peaks
+ * @param {number} count
+ * @returns {number[]}
+ */
+function resamplePeaks(peaks, count) {
+    return Array.from({ length: count }, (_, i) => {
+        const start = Math.floor(i * peaks.length / count);
+        const end = Math.max(start + 1, Math.floor((i + 1) * peaks.length / count));
+        return Math.max(...peaks.slice(start, end));
+    });
+}
+
+/**
+ * Create a deterministic pseudo-random generator (mulberry32).
+ * @param {number} seed
+ * @returns {() => number} Returns floats in [0, 1)
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Decode audio with the Web Audio API and compute a normalized peak envelope.
+ * @param {Blob} blob
+ * @returns {Promise<{ peaks: number[], duration: number }>} Peaks are integers 0-100
+ */
+async function computeAudioPeaks(blob) {
+    const audioContext = new AudioContext();
+    try {
+        const decoded = await audioContext.decodeAudioData(await blob.arrayBuffer());
+        const channels = Array.from({ length: decoded.numberOfChannels }, (_, c) => decoded.getChannelData(c));
+        const bucketSize = Math.max(1, Math.floor(decoded.length / PEAK_RESOLUTION));
+        // Sampling ~1000 points per bucket is plenty for a bar height
+        const stride = Math.max(1, Math.floor(bucketSize / 1000));
+
+        const raw = [];
+        for (let b = 0; b < PEAK_RESOLUTION; b++) {
+            let max = 0;
+            const end = Math.min(decoded.length, (b + 1) * bucketSize);
+            for (const data of channels) {
+                for (let i = b * bucketSize; i < end; i += stride) {
+                    const value = Math.abs(data[i]);
+                    if (value > max) max = value;
+                }
+            }
+            raw.push(max);
+        }
+
+        const loudest = Math.max(...raw) || 1;
+        return { peaks: raw.map(p => Math.round(p / loudest * 100)), duration: decoded.duration };
+    } finally {
+        audioContext.close();
+    }
+}
+
+/**
+ * Make sure a voice note with audio has a stored peak envelope, fetching the audio if needed.
+ * @param {object} media - The phoneMedia['vnN'] entry
+ * @param {Blob} [blob] - The audio, if already in memory
+ * @returns {Promise<boolean>} True if peaks were added
+ */
+async function ensureVnPeaks(media, blob) {
+    if (media?.peaks?.length || (!blob && !media?.audioUrl)) return false;
+
+    try {
+        if (!blob) {
+            const response = await fetch(media.audioUrl);
+            if (!response.ok) throw new Error(`Failed to fetch audio: ${response.status}`);
+            blob = await response.blob();
+        }
+        const { peaks, duration } = await computeAudioPeaks(blob);
+        media.peaks = peaks;
+        if (!media.duration && Number.isFinite(duration) && duration > 0) media.duration = duration;
+        return true;
+    } catch (error) {
+        console.warn(`[${MODULE_NAME}] Could not analyse voice note audio:`, error);
+        return false;
+    }
+}
+
+/**
+ * Re-render a player's waveform bars from its voice note entry.
+ * @param {JQuery} player - The .phone-vn-container (or wrapper)
+ * @param {object} media - The phoneMedia['vnN'] entry
+ */
+function renderVnWaveform(player, media) {
+    const duration = media.duration || estimateTtsDuration(media.text || '');
+    player.find('.phone-vn-waveform').html(buildWaveformBars(media.text, duration, media.peaks));
+}
+
+/**
+ * Estimate TTS duration from text using the configured speaking rate.
+ * @param {string} text
+ * @returns {number} seconds (minimum 2)
+ */
+function estimateTtsDuration(text) {
+    const words = text.trim().split(/\s+/).filter(Boolean).length;
+    const wordsPerSecond = (getSettings().ttsWordsPerMinute || DEFAULT_SETTINGS.ttsWordsPerMinute) / 60;
+    return Math.max(2, Math.round(words / wordsPerSecond));
+}
+
+/**
+ * Format seconds as m:ss.
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatDuration(seconds) {
+    const m = Math.floor(seconds / 60);
+    const s = seconds % 60;
+    return `${m}:${s.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Name of the character who wrote a message. In group chats `name2` is only the
+ * currently active character, so the name stored on the message wins.
+ * @param {object} message - A chat message
+ * @returns {string}
+ */
+function getMessageAuthor(message) {
+    if (!message || message.is_user) return name2 || '';
+    return message.name || name2 || '';
+}
+
+/**
+ * Gallery folder for images from a message's author. Honors a custom folder set in the
+ * Gallery extension for the author's avatar (group messages carry it as `original_avatar`).
+ * @param {object} message - A chat message
+ * @returns {string}
+ */
+function getGalleryFolder(message) {
+    const avatar = message?.original_avatar;
+    const customFolder = avatar ? extension_settings.gallery?.folders?.[avatar] : null;
+    return customFolder || getMessageAuthor(message);
+}
+
+/**
+ * Compose the prompt actually sent for an image: the global and the author's prefix and
+ * suffix around the raw prompt, plus the negative prompt. Only the templates are
+ * macro-expanded; the stored raw prompt never contains them, so editing it doesn't
+ * duplicate them.
+ * @param {string} prompt - Raw prompt from the [IMG] tag or the prompt editor
+ * @param {object|null} message - The message the image belongs to; user photos get the global template only
+ * @returns {{ prompt: string, negative: string }}
+ */
+function composeImagePrompt(prompt, message) {
+    const settings = getSettings();
+    const author = message && !message.is_user ? getMessageAuthor(message) : null;
+    const own = (map) => (author ? map?.[author] : '') || '';
+    const fill = (template) => expandPromptMacros(template || '', message).trim();
+
+    const parts = [
+        fill(settings.promptPrefix),
+        fill(own(settings.imageStyles)),
+        prompt.trim(),
+        fill(own(settings.imageSuffixes)),
+        fill(settings.promptSuffix),
+    ];
+    const negatives = [fill(settings.negativePrompt), fill(own(settings.negativePrompts))];
+    return { prompt: parts.filter(Boolean).join(', '), negative: negatives.filter(Boolean).join(', ') };
+}
+
+/**
+ * Expand macros in a prompt template. Besides SillyTavern's own ({{char}} is the message
+ * author, not the active character), {{appearance}} is the author's character prompt from
+ * the Image Generation extension and {{tags}} their card's tags.
+ * @param {string} text
+ * @param {object|null} message
+ * @returns {string}
+ */
+function expandPromptMacros(text, message) {
+    if (!text.includes('{{')) return text;
+
+    const avatar = getAuthorAvatar(message);
+    const character = avatar ? characters.find(c => c.avatar === avatar) : null;
+    const appearance = avatar ? extension_settings.sd?.character_prompts?.[avatar] || '' : '';
+    const tags = Array.isArray(character?.tags) ? character.tags.join(', ') : '';
+
+    const expanded = text
+        .replace(/\{\{appearance\}\}/gi, appearance)
+        .replace(/\{\{tags\}\}/gi, tags);
+    return substituteParams(expanded, name1, getMessageAuthor(message));
+}
+
+/**
+ * Append a generated variant to an image slot and make it the active one. `variants`
+ * records what was sent for each URL and stays aligned with `urls`.
+ * @param {object} media - The phoneMedia image entry
+ * @param {string} url
+ * @param {ImageJob} job - The job that generated it
+ */
+function addImageVariant(media, url, job) {
+    media.urls = [...getImageUrls(media)];
+    delete media.url;
+    media.variants = media.urls.map((_, i) => media.variants?.[i] ?? {});
+
+    const { seed, width, height } = job.result;
+    media.urls.push(url);
+    media.variants.push({
+        sentPrompt: job.prompt,
+        ...(job.negative ? { negativePrompt: job.negative } : {}),
+        ...(Number.isInteger(seed) ? { seed } : {}),
+        ...(width && height ? { width, height } : {}),
+    });
+    media.activeIndex = media.urls.length - 1;
+}
+
+/**
+ * Avatar file of a message's author. Group messages carry it as `original_avatar`;
+ * in a solo chat it is the active character's.
+ * @param {object} message - A chat message
+ * @returns {string|null}
+ */
+function getAuthorAvatar(message) {
+    if (!message || message.is_user) return null;
+    return message.original_avatar || characters[this_chid]?.avatar || null;
+}
+
+/**
+ * Reference image for images in a message: the author's entry in the reference images
+ * setting, or their avatar. Null while reference images are turned off.
+ * An [IMG ref="..."] attribute can point elsewhere: at another photo of the message by
+ * its id, or at another character's reference image.
+ * @param {object} message - The message the image belongs to
+ * @param {string} [ref] - The tag's ref attribute
+ * @returns {string|null}
+ */
+function getReferenceImage(message, ref) {
+    const settings = getSettings();
+    if (!settings.referenceImagesEnabled || !message || message.is_user) return null;
+
+    if (ref) {
+        const photo = Object.values(message.extra?.phoneMedia || {}).find(media => media.type === 'image' && media.id === ref);
+        const photoUrl = getImageUrls(photo)[photo?.activeIndex ?? 0];
+        if (photoUrl) return photoUrl;
+        if (settings.referenceImages?.[ref]) return settings.referenceImages[ref];
+        const character = characters.find(c => c.name === ref);
+        if (character?.avatar) return `/characters/${encodeURIComponent(character.avatar)}`;
+    }
+
+    const reference = settings.referenceImages?.[getMessageAuthor(message)];
+    if (reference) return reference;
+    const avatar = getAuthorAvatar(message);
+    return avatar ? `/characters/${encodeURIComponent(avatar)}` : null;
+}
+
+/**
+ * Queue an image for a message, with the composed prompt, the author's reference image
+ * and the slot's aspect ratio and seed.
+ * @param {string} prompt - The raw prompt
+ * @param {object} message - The message the image belongs to
+ * @param {(() => void)|null} [onStart]
+ * @param {{ ratio?: string, seed?: number, ref?: string }} [shape] - From getVariantShape(); no seed means a random one
+ * @param {boolean} [video] - Generate a clip with the provider's generateVideo()
+ * @returns {ImageJob}
+ */
+function enqueueMessageImageJob(prompt, message, onStart = null, shape = {}, video = false) {
+    const composed = composeImagePrompt(prompt, message);
+    return enqueueImageJob(composed.prompt, onStart, {
+        reference: getReferenceImage(message, shape.ref),
+        negative: composed.negative,
+        folder: getGalleryFolder(message),
+        ...getImageSize(shape.ratio),
+        seed: Number.isInteger(shape.seed) ? shape.seed : -1,
+        video,
+    });
+}
+
+/**
+ * The shape the next image or clip of a slot is made with. Seeds belong to variants
+ * (`variants[].seed` records each one), so the tag's seed only applies to the slot's
+ * first result; later variants get a random seed unless one is asked for.
+ * @param {{ ratio?: string, seed?: number, ref?: string, urls?: string[], clips?: object[] }} media - The phoneMedia entry
+ * @param {number} [seed] - A seed asked for explicitly, e.g. in the prompt editor
+ * @returns {{ ratio?: string, seed?: number, ref?: string }}
+ */
+function getVariantShape(media, seed) {
+    const isFirst = !media.urls?.length && !media.clips?.length;
+    const chosen = Number.isInteger(seed) ? seed : (isFirst ? media.seed : undefined);
+    return {
+        ratio: media.ratio,
+        ref: media.ref,
+        ...(Number.isInteger(chosen) ? { seed: chosen } : {}),
+    };
+}
+
+/**
+ * Fields an [IMG] tag stores on its phoneMedia slot: the shape, plus the `id` linking it
+ * to its placeholder and the `ref` naming its reference image.
+ * @param {import('./tags.js').ParsedTag} tag
+ * @returns {{ kind?: string, ratio?: string, seed?: number, id?: string, ref?: string }}
+ */
+function getImageTagFields(tag) {
+    return {
+        ...getImageShape(tag.attributes),
+        ...(tag.id ? { id: tag.id } : {}),
+        ...(tag.attributes.ref ? { ref: tag.attributes.ref } : {}),
+    };
+}
+
+/**
+ * Read the shape attributes of an [IMG] tag. `kind` and `orientation` only pick a
+ * default ratio; an explicit `ratio` wins.
+ * @param {Object<string, string>} attributes - The parsed tag's attributes
+ * @returns {{ kind?: string, ratio?: string, seed?: number }}
+ */
+function getImageShape(attributes) {
+    const shape = {};
+    const kind = attributes.kind?.toLowerCase();
+    if (kind) shape.kind = kind;
+
+    const ratio = parseImageRatio(attributes.ratio)
+        ? attributes.ratio.replace(/\s/g, '')
+        : IMAGE_KIND_RATIOS[kind] || IMAGE_KIND_RATIOS[attributes.orientation?.toLowerCase()];
+    if (ratio) shape.ratio = ratio;
+
+    const seed = Number.parseInt(attributes.seed, 10);
+    if (Number.isInteger(seed) && seed >= 0) shape.seed = seed;
+    return shape;
+}
+
+/**
+ * Parse an aspect ratio like "9:16" (also "9x16" or "9/16").
+ * @param {string} [ratio]
+ * @returns {number|null} Width divided by height
+ */
+function parseImageRatio(ratio) {
+    const match = /^\s*(\d+(?:\.\d+)?)\s*[:x/]\s*(\d+(?:\.\d+)?)\s*$/i.exec(ratio || '');
+    if (!match || !Number(match[1]) || !Number(match[2])) return null;
+    return Number(match[1]) / Number(match[2]);
+}
+
+/**
+ * Pixel size for an aspect ratio, keeping the pixel count of the width and height
+ * settings and snapping to multiples of 64. No ratio leaves the size to the provider.
+ * @param {string} [ratio]
+ * @returns {{ width: number, height: number }}
+ */
+function getImageSize(ratio) {
+    const value = parseImageRatio(ratio);
+    if (!value) return { width: 0, height: 0 };
+
+    const settings = getSettings();
+    const area = (settings.imageWidth || DEFAULT_SETTINGS.imageWidth) * (settings.imageHeight || DEFAULT_SETTINGS.imageHeight);
+    const snap = (size) => Math.max(64, Math.round(size / 64) * 64);
+    return { width: snap(Math.sqrt(area * value)), height: snap(Math.sqrt(area / value)) };
+}
+
+/**
+ * Make an image the reference for its message's author and turn reference images on.
+ * @param {number} messageId
+ * @param {string} url - Image variant URL
+ */
+function setReferenceImage(messageId, url) {
+    const author = getMessageAuthor(chat[messageId]);
+    if (!author || !url) return;
+
+    const settings = getSettings();
+    settings.referenceImages = { ...settings.referenceImages, [author]: url };
+    settings.referenceImagesEnabled = true;
+    saveSettingsDebounced();
+
+    // Keep the settings drawer in sync if it is open
+    $('.phone-ui-settings [data-setting="referenceImages"]').val(formatSettingsMap(settings.referenceImages));
+    $('.phone-ui-settings [data-setting="referenceImagesEnabled"]').prop('checked', true);
+
+    toastr.success(`Reference image set for ${author}`);
+    console.log(`[${MODULE_NAME}] Reference image for ${author}: ${url}`);
+}
+
+/**
+ * Escape a string for safe use in an HTML attribute.
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeHtmlAttr(str) {
+    return str.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Save an image to the character gallery by fetching it and re-uploading.
+ * @param {string} imageUrl - The server-relative URL of the image (e.g. /user/images/foo.png)
+ * @param {string} folder - Gallery folder (see getGalleryFolder)
+ * @returns {Promise<void>}
+ */
+async function saveImageToGallery(imageUrl, folder) {
+    const response = await fetch(imageUrl);
+    if (!response.ok) throw new Error(`Failed to fetch image: ${response.status}`);
+
+    const base64 = await blobToBase64(await response.blob());
+    const ext = imageUrl.split('.').pop().split('?')[0] || 'png';
+
+    await uploadImage(base64, ext, folder);
+}
+
+/**
+ * Save one variant of an image slot to its author's gallery and record it in `savedToGallery`.
+ * Shared by the inline save button and the lightbox.
+ * @param {number} messageId
+ * @param {number} index - Image slot index
+ * @param {number} variant - Index into the slot's urls
+ * @param {number|null} [swipeId] - Swipe holding the image, if it isn't the one shown
+ * @returns {Promise<void>}
+ */
+async function saveImageVariantToGallery(messageId, index, variant, swipeId = null) {
+    const message = chat[messageId];
+    const media = getSwipePhoneMedia(message, swipeId)?.[index];
+    const url = getImageUrls(media)[variant];
+    if (!url) throw new Error('Image not found');
+
+    await saveImageToGallery(url, getGalleryFolder(message));
+    if (chat[messageId] !== message) return;
+
+    if (!media.savedToGallery) media.savedToGallery = [];
+    if (!media.savedToGallery.includes(variant)) media.savedToGallery.push(variant);
+    updateInlineGalleryButton(messageId, index);
+
+    await saveChatConditional();
+    console.log(`[${MODULE_NAME}] Saved image #${index} variant ${variant} to gallery for message ${messageId}`);
+}
+
+/**
+ * Sync an image's inline save button with the gallery state of its displayed variant.
+ * @param {number} messageId
+ * @param {number} index - Image slot index
+ */
+function updateInlineGalleryButton(messageId, index) {
+    const media = chat[messageId]?.extra?.phoneMedia?.[index];
+    const galleryBtn = $(`#chat .mes[mesid="${messageId}"] .mes_text .phone-img-wrapper[data-phone-img-slot="${index}"]`).find('.phone-img-gallery-btn');
+    if (!media || !galleryBtn.length || galleryBtn.hasClass('saving')) return;
+
+    const isSaved = !!media.savedToGallery?.includes(media.activeIndex ?? 0);
+    galleryBtn.toggleClass('saved', isSaved)
+        .html(isSaved ? '&#10003;' : '&#8615;')
+        .attr('title', isSaved ? 'Saved to gallery' : 'Save to gallery');
+}
+
+/**
+ * Upload a base64 image into a character's image folder.
+ * @param {string} base64
+ * @param {string} format - File extension (png, jpg, webp...)
+ * @param {string} charName - Character folder name
+ * @returns {Promise<string>} Server-relative URL of the uploaded image
+ */
+async function uploadImage(base64, format, charName) {
+    const uploadResponse = await fetch('/api/images/upload', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({
+            image: base64,
+            format,
+            ch_name: charName,
+        }),
+    });
+
+    if (!uploadResponse.ok) {
+        const err = await uploadResponse.json().catch(() => ({}));
+        throw new Error(err.error || 'Gallery upload failed');
+    }
+
+    const { path } = await uploadResponse.json();
+    return path.startsWith('/') ? path : `/${path}`;
+}
+
+/**
+ * Find the Nth placeholder element in the rendered message by data attribute,
+ * falling back to content-based matching.
+ * @param {JQuery} mesText - The .mes_text element
+ * @param {string} dataAttr - e.g. 'data-phone-img'
+ * @param {number} index - The index to find
+ * @param {string} fallbackContent - Content to search for (emoji)
+ * @param {string|null} [id] - The tag's id attribute; a placeholder named by it wins
+ * @returns {JQuery|null}
+ */
+function findPlaceholder(mesText, dataAttr, index, fallbackContent, id = null) {
+    const isVn = dataAttr === 'data-phone-vn';
+
+    if (id) {
+        const byId = mesText.find(`[${dataAttr}="${CSS.escape(id)}"]`);
+        if (byId.length) return byId.first();
+    }
+
+    // Try exact data attribute match first
+    const byAttr = mesText.find(`[${dataAttr}="${index}"]`);
+    if (byAttr.length) return byAttr.first();
+
+    if (isVn) {
+        // Try any [data-phone-vn] attribute (LLM may use wrong index value)
+        const anyVnAttr = mesText.find('[data-phone-vn]').not('.phone-vn-wrapper [data-phone-vn]');
+        if (anyVnAttr.length) return anyVnAttr.eq(Math.min(index, anyVnAttr.length - 1));
+
+        // Try DOMPurify-prefixed class (LLM mimicking extension HTML)
+        const byCustomClass = mesText.find('[class*="custom-phone-vn"]').not('.phone-vn-wrapper [class*="custom-phone-vn"]');
+        if (byCustomClass.length) return byCustomClass.eq(Math.min(index, byCustomClass.length - 1));
+    }
+
+    // Fallback: find by content — prefer innermost matching element for VN
+    const candidates = [];
+    if (fallbackContent) mesText.find('div').each(function () {
+        const el = $(this);
+        if (el.closest('.phone-vn-wrapper, .phone-img-wrapper, .phone-loc-wrapper, .phone-vid-wrapper').length) return;
+        const text = el.text();
+        if (text.includes(fallbackContent) && !el.find('[class^="phone-"]').length) {
+            if (isVn) {
+                // Prefer innermost: skip if a child div also matches
+                const childMatch = el.find('div').filter(function () {
+                    return $(this).text().includes(fallbackContent);
+                });
+                if (childMatch.length) return;
+            }
+            candidates.push(el);
+        }
+    });
+
+    if (isVn && !candidates.length) {
+        // Also match elements containing "Voice note" text
+        mesText.find('div').each(function () {
+            const el = $(this);
+            if (el.closest('.phone-vn-wrapper, .phone-img-wrapper').length) return;
+            if (/voice\s*note/i.test(el.text()) && !el.find('[class^="phone-"]').length) {
+                const childMatch = el.find('div').filter(function () {
+                    return /voice\s*note/i.test($(this).text());
+                });
+                if (childMatch.length) return;
+                candidates.push(el);
+            }
+        });
+    }
+
+    if (candidates[index]) return $(candidates[index]);
+
+    return null;
+}
+
+/**
+ * Restore a previously generated image into its placeholder.
+ * Slots that never produced an image (pending or failed) are restored as a retry card.
+ * @param {JQuery} mesText
+ * @param {object} media - { urls, activeIndex, type, prompt, status } or legacy { url, type, prompt }
+ * @param {number} index
+ * @param {number} messageId
+ */
+function restoreImage(mesText, media, index, messageId) {
+    const placeholder = findPlaceholder(mesText, 'data-phone-img', index, getSettings().imgPlaceholderGlyph, media.id);
+
+    if (!media.url && !media.urls?.length) {
+        // 'pending' here means the page was closed or reloaded mid-generation
+        const text = media.status === 'pending' ? 'Image generation interrupted' : 'Image generation failed';
+        const card = $(buildFailedImage(text, index));
+        if (placeholder) {
+            placeholder.replaceWith(card);
+        } else {
+            mesText.append(card);
+        }
+        bindImageRetry(card, messageId, index, media.prompt);
+        return;
+    }
+
+    const urls = media.urls || [media.url];
+    const activeIndex = media.activeIndex || 0;
+    const currentUrl = urls[activeIndex] || urls[0];
+    const savedIndices = media.savedToGallery || [];
+    const container = buildImageContainer(index, currentUrl, media.prompt, urls.length, activeIndex, savedIndices);
+    if (placeholder) {
+        placeholder.replaceWith(container);
+    } else {
+        mesText.append(container);
+    }
+}
+
+/**
+ * Build the interactive image container HTML with carousel navigation.
+ * @param {number} index - The image slot index, which binds the controls to `phoneMedia[index]`
+ * @param {string} url
+ * @param {string} prompt
+ * @param {number} totalImages
+ * @param {number} activeIndex
+ * @param {number[]} savedIndices - Indices of variants already saved to gallery
+ * @returns {string}
+ */
+function buildImageContainer(index, url, prompt, totalImages = 1, activeIndex = 0, savedIndices = []) {
+    const escapedPrompt = $('<span>').text(prompt).html();
+    const hideLeft = activeIndex === 0 ? ' style="display:none;"' : '';
+    const counterText = totalImages > 1 ? `${activeIndex + 1}/${totalImages}` : '';
+    const counterHidden = totalImages <= 1 ? ' style="display:none;"' : '';
+    const isSaved = savedIndices.includes(activeIndex);
+    const saveIcon = isSaved ? '&#10003;' : '&#8615;';
+    const savedClass = isSaved ? ' saved' : '';
+    return `<div class="phone-img-wrapper" data-phone-img-slot="${index}">
+        <div class="phone-img-container">
+            <img class="phone-img" src="${escapeHtmlAttr(url)}" alt="Generated image" />
+            <button class="phone-img-nav phone-img-nav-left"${hideLeft} title="Previous">\u2039</button>
+            <button class="phone-img-nav phone-img-nav-right" title="Next">\u203A</button>
+            <span class="phone-img-counter"${counterHidden}>${counterText}</span>
+            <button class="phone-img-gallery-btn${savedClass}" title="${isSaved ? 'Saved to gallery' : 'Save to gallery'}">${saveIcon}</button>
+            <button class="phone-img-edit-btn" title="Edit prompt">&#9998;</button>
+            <button class="phone-img-delete-btn"${counterHidden} title="Delete this variant">&#128465;</button>
+        </div>
+        <div class="phone-img-editor" style="display:none;">
+            <textarea class="phone-img-editor-textarea">${escapedPrompt}</textarea>
+            <div class="phone-img-editor-preview"></div>
+            <div class="phone-img-editor-params">
+                <select class="phone-img-ratio-select" title="Aspect ratio">
+                    <option value="">Auto size</option>
+                    ${IMAGE_RATIOS.map(ratio => `<option value="${ratio}">${ratio}</option>`).join('')}
+                </select>
+                <input class="phone-img-seed-input" type="number" min="0" step="1" placeholder="Random seed" title="Seed (empty for random)" />
+                <button class="phone-img-seed-reuse-btn" title="Use the shown variant's seed">&#8634;</button>
+            </div>
+            <div class="phone-img-editor-actions">
+                <button class="phone-img-save-btn">Save</button>
+                <button class="phone-img-save-gen-btn">Save &amp; Generate</button>
+                <button class="phone-img-keep-btn"${counterHidden} title="Delete every other variant of this image">Keep only this</button>
+                <button class="phone-img-ref-btn" title="Use this image as the character's reference for new photos">Use as reference</button>
+            </div>
+        </div>
+    </div>`;
+}
+
+/**
+ * Group runs of adjacent image wrappers in a message into album grids, the way a messenger
+ * shows several photos sent together. Each tile keeps its own wrapper and carousel, and
+ * wrappers stay bound to their `phoneMedia` slots through `data-phone-img-slot`.
+ * @param {JQuery} mesText
+ */
+function groupImageAlbums(mesText) {
+    const wrappers = mesText.find('.phone-img-wrapper').not('.phone-img-album .phone-img-wrapper').toArray();
+    let run = [];
+
+    const flush = () => {
+        if (run.length >= 2) {
+            // Line breaks between the placeholders would end up as stray gaps around the album
+            for (let node = run[0].nextSibling; node && node !== run[run.length - 1];) {
+                const next = node.nextSibling;
+                if (node.nodeName === 'BR') node.remove();
+                node = next;
+            }
+            const album = $('<div class="phone-img-album"></div>').toggleClass('odd', run.length % 2 === 1);
+            album.insertBefore(run[0]).append(run);
+        }
+        run = [];
+    };
+
+    for (const wrapper of wrappers) {
+        if (run.length && !isAdjacentImageWrapper(run[run.length - 1], wrapper)) flush();
+        run.push(wrapper);
+    }
+    flush();
+}
+
+/**
+ * Check that only whitespace and line breaks separate two image wrappers in the same bubble.
+ * @param {HTMLElement} previous
+ * @param {HTMLElement} wrapper
+ * @returns {boolean}
+ */
+function isAdjacentImageWrapper(previous, wrapper) {
+    let node = previous.nextSibling;
+    while (node && node !== wrapper) {
+        const isBlankText = node.nodeType === Node.TEXT_NODE && !node.textContent.trim();
+        if (!isBlankText && node.nodeName !== 'BR') return false;
+        node = node.nextSibling;
+    }
+    return node === wrapper;
+}
+
+/**
+ * Build a loading placeholder HTML.
+ * @returns {string}
+ */
+function buildLoadingPlaceholder() {
+    return `<div class="phone-img-wrapper"></div>`;
+}
+
+/**
+ * Build the card shown while an image job is queued or generating.
+ * @param {number} index - The image slot index
+ * @returns {string}
+ */
+function buildPendingImage(index) {
+    return `<div class="phone-img-wrapper phone-img-pending" data-phone-img-slot="${index}">
+        <div class="phone-img-loading">
+            <span class="phone-img-status">Queued</span>
+            <button class="phone-img-cancel-btn" title="Cancel">&#10005;</button>
+        </div>
+    </div>`;
+}
+
+/**
+ * Build the card shown when an image job failed or was cancelled.
+ * @param {string} text
+ * @param {number} index - The image slot index
+ * @returns {string}
+ */
+function buildFailedImage(text, index) {
+    return `<div class="phone-img-wrapper phone-img-failed" data-phone-img-slot="${index}">
+        <div class="phone-img-loading">
+            <span class="phone-img-status">${text}</span>
+            <button class="phone-img-retry-btn" title="Retry">&#8635; Retry</button>
+        </div>
+    </div>`;
+}
+
+/**
+ * Bind the retry button on a failed image card. The prompt is read from
+ * `phoneMedia[index]` at click time so edits and reloads are respected.
+ * @param {JQuery} card - The .phone-img-failed wrapper
+ * @param {number} messageId
+ * @param {number} index
+ * @param {string} fallbackPrompt - Used if the slot has no stored prompt
+ */
+function bindImageRetry(card, messageId, index, fallbackPrompt) {
+    card.find('.phone-img-retry-btn').off('click').on('click', () => {
+        const message = chat[messageId];
+        if (!message) return;
+        const prompt = message.extra?.phoneMedia?.[index]?.prompt || fallbackPrompt;
+        generateImageIntoSlot(message, messageId, index, prompt, card);
+    });
+}
+
+/**
+ * Generate an image through the queue into a slot of a message, replacing the given wrapper.
+ * The slot is recorded in `phoneMedia[index]` with `status: 'pending'` before generation so the
+ * prompt survives a reload; on success the URL is appended and the status becomes 'done', on
+ * failure it becomes 'failed' and a retry card with the same prompt is left in place.
+ * @param {object} message - The chat message object (guards against the chat changing mid-job)
+ * @param {number} messageId
+ * @param {number} index - The image slot index
  * @param {string} prompt
- * @param {number} totalImages
- * @param {number} activeIndex
- * @param {number[]} savedIndices - Indices of variants already saved to gallery
+ * @param {JQuery} wrapper - The element to replace
+ * @param {{ kind?: string, ratio?: string, seed?: number, id?: string, ref?: string }} [shape] - From the tag (getImageTagFields()); a retry keeps the stored one
+ * @returns {Promise<void>}
+ */
+async function generateImageIntoSlot(message, messageId, index, prompt, wrapper, shape = {}) {
+    if (!message.extra) message.extra = {};
+    if (!message.extra.phoneMedia) message.extra.phoneMedia = {};
+    if (!message.extra.phoneMedia[index]) {
+        message.extra.phoneMedia[index] = { urls: [], type: 'image', prompt, ...shape, activeIndex: 0, status: 'pending' };
+    }
+    const media = message.extra.phoneMedia[index];
+    if (!media.urls?.length) media.status = 'pending';
+    linkSwipeMedia(message);
+
+    // After a swipe the slot in the DOM belongs to another swipe's media; the result
+    // is still stored on this swipe, it just isn't drawn
+    const isShown = () => message.extra?.phoneMedia?.[index] === media;
+
+    const pending = $(buildPendingImage(index));
+    wrapper.replaceWith(pending);
+
+    // Reuse the job started while the reply was streaming, if any
+    const showGenerating = () => pending.find('.phone-img-status').text('Generating\u2026');
+    let job = takeStreamingImageJob(messageId, index, prompt);
+    if (job) {
+        if (job.status === 'queued') job.onStart = showGenerating; else showGenerating();
+    } else {
+        job = enqueueMessageImageJob(prompt, message, showGenerating, getVariantShape(media));
+    }
+    pending.find('.phone-img-cancel-btn').on('click', () => job.cancel());
+
+    let imageUrl;
+    try {
+        imageUrl = await job.promise;
+    } catch (error) {
+        const cancelled = job.status === 'cancelled';
+        if (!cancelled) console.error(`[${MODULE_NAME}] Failed to generate image #${index}:`, error);
+
+        if (isShown()) {
+            const failed = $(buildFailedImage(cancelled ? 'Image generation cancelled' : 'Image generation failed', index));
+            getSlotElement(pending, messageId, index).replaceWith(failed);
+            bindImageRetry(failed, messageId, index, prompt);
+        }
+
+        if (chat[messageId] !== message) return;
+        if (!media.urls?.length) media.status = 'failed';
+        await saveChatConditional();
+        return;
+    }
+
+    if (chat[messageId] !== message) return;
+
+    console.log(`[${MODULE_NAME}] Image #${index} generated: ${imageUrl}`);
+
+    addImageVariant(media, imageUrl, job);
+    media.prompt = prompt;
+    media.status = 'done';
+
+    if (isShown()) {
+        const container = $(buildImageContainer(index, imageUrl, prompt, media.urls.length, media.activeIndex, media.savedToGallery));
+        getSlotElement(pending, messageId, index).replaceWith(container);
+
+        const mesText = container.closest('.mes_text');
+        if (mesText.length) bindCarouselHandlers(mesText, messageId);
+    }
+
+    await saveChatConditional();
+}
+
+/**
+ * Check whether a clip URL is a video file, as opposed to a GIF or animated WebP.
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isVideoFile(url) {
+    return /\.(mp4|webm|mov|m4v)$/i.test(url || '');
+}
+
+/**
+ * Build the element a clip plays in: a muted, looping <video> for video files, or an <img>
+ * for animated images and clips made of frames.
+ * @param {object} clip - { url } or { frames }
  * @returns {string}
  */
-function buildImageContainer(url, prompt, totalImages = 1, activeIndex = 0, savedIndices = []) {
-    const escapedPrompt = $('<span>').text(prompt).html();
+function buildVideoStage(clip) {
+    if (isVideoFile(clip.url)) {
+        return `<video class="phone-vid-stage" src="${escapeHtmlAttr(clip.url)}" muted loop playsinline preload="metadata"></video>`;
+    }
+    return `<img class="phone-vid-stage" src="${escapeHtmlAttr(clip.url || clip.frames?.[0] || '')}" alt="Clip" />`;
+}
+
+/**
+ * Build the clip player HTML: tap to play, a muted badge, and the image carousel's arrows,
+ * counter and delete button.
+ * @param {object} media - The phoneMedia['vidN'] entry
+ * @param {number} index - The clip slot index
+ * @returns {string}
+ */
+function buildVideoContainer(media, index) {
+    const clips = media.clips || [];
+    const activeIndex = media.activeIndex ?? 0;
+    const clip = clips[activeIndex] || clips[0] || {};
     const hideLeft = activeIndex === 0 ? ' style="display:none;"' : '';
-    const counterText = totalImages > 1 ? `${activeIndex + 1}/${totalImages}` : '';
-    const counterHidden = totalImages <= 1 ? ' style="display:none;"' : '';
-    const isSaved = savedIndices.includes(activeIndex);
-    const saveIcon = isSaved ? '&#10003;' : '&#8615;';
-    const savedClass = isSaved ? ' saved' : '';
-    return `<div class="phone-img-wrapper">
-        <div class="phone-img-container">
-            <img class="phone-img" src="${escapeHtmlAttr(url)}" alt="Generated image" />
+    const counterHidden = clips.length <= 1 ? ' style="display:none;"' : '';
+    const isVideo = isVideoFile(clip.url);
+    return `<div class="phone-vid-wrapper" data-phone-vid-slot="${index}">
+        <div class="phone-vid-container">
+            ${buildVideoStage(clip)}
+            <button class="phone-vid-play-btn" title="Play">&#9654;</button>
+            <span class="phone-vid-badge" title="${isVideo ? 'Muted' : 'Animated loop'}">${isVideo ? '&#128263;' : 'GIF'}</span>
             <button class="phone-img-nav phone-img-nav-left"${hideLeft} title="Previous">\u2039</button>
             <button class="phone-img-nav phone-img-nav-right" title="Next">\u203A</button>
-            <span class="phone-img-counter"${counterHidden}>${counterText}</span>
-            <button class="phone-img-gallery-btn${savedClass}" title="${isSaved ? 'Saved to gallery' : 'Save to gallery'}">${saveIcon}</button>
-            <button class="phone-img-edit-btn" title="Edit prompt">&#9998;</button>
+            <span class="phone-img-counter"${counterHidden}>${activeIndex + 1}/${clips.length}</span>
+            <button class="phone-img-delete-btn"${counterHidden} title="Delete this clip">&#128465;</button>
         </div>
-        <div class="phone-img-editor" style="display:none;">
-            <textarea class="phone-img-editor-textarea">${escapedPrompt}</textarea>
-            <div class="phone-img-editor-actions">
-                <button class="phone-img-save-btn">Save</button>
-                <button class="phone-img-save-gen-btn">Save &amp; Generate</button>
-            </div>
+    </div>`;
+}
+
+/**
+ * Build the card shown while a clip is queued or generating.
+ * @param {number} index - The clip slot index
+ * @returns {string}
+ */
+function buildPendingVideo(index) {
+    return `<div class="phone-vid-wrapper phone-img-pending" data-phone-vid-slot="${index}">
+        <div class="phone-img-loading">
+            <span class="phone-img-status">Queued</span>
+            <button class="phone-img-cancel-btn" title="Cancel">&#10005;</button>
+        </div>
+    </div>`;
+}
+
+/**
+ * Build the card shown when a clip failed or was cancelled.
+ * @param {string} text
+ * @param {number} index - The clip slot index
+ * @returns {string}
+ */
+function buildFailedVideo(text, index) {
+    return `<div class="phone-vid-wrapper phone-img-failed" data-phone-vid-slot="${index}">
+        <div class="phone-img-loading">
+            <span class="phone-img-status">${text}</span>
+            <button class="phone-img-retry-btn" title="Retry">&#8635; Retry</button>
         </div>
     </div>`;
 }
 
 /**
- * Build a loading placeholder HTML.
- * @returns {string}
+ * Bind the retry button on a failed clip card. The prompt is read at click time.
+ * @param {JQuery} card
+ * @param {number} messageId
+ * @param {number} index
+ * @param {string} fallbackPrompt - Used if the slot has no stored prompt
+ */
+function bindVideoRetry(card, messageId, index, fallbackPrompt) {
+    card.find('.phone-img-retry-btn').off('click').on('click', () => {
+        const message = chat[messageId];
+        if (!message) return;
+        const prompt = message.extra?.phoneMedia?.[`vid${index}`]?.prompt || fallbackPrompt;
+        generateVideoIntoSlot(message, messageId, index, prompt, card);
+    });
+}
+
+/**
+ * Queue a clip for a message. A provider that can animate (see canGenerateVideo()) makes
+ * one video; otherwise `videoFrames` images of the same prompt are generated and played
+ * as a loop. A set seed gives frames consecutive seeds, so the same loop comes out again.
+ * @param {string} prompt - The raw prompt
+ * @param {object} message - The message the clip belongs to
+ * @param {(() => void)|null} [onStart] - Called when generation starts
+ * @param {{ ratio?: string, seed?: number, ref?: string }} [shape] - From getVariantShape()
+ * @returns {{ promise: Promise<object>, cancel: () => void, cancelled: boolean }} The promise
+ *   resolves with the clip: `{ url }` or `{ frames }`, plus `sentPrompt` and the seed
+ */
+function enqueueVideoClip(prompt, message, onStart = null, shape = {}) {
+    const settings = getSettings();
+    const clipJob = { cancelled: false };
+    const describe = (job) => ({
+        sentPrompt: job.prompt,
+        ...(job.negative ? { negativePrompt: job.negative } : {}),
+        ...(Number.isInteger(job.result.seed) ? { seed: job.result.seed } : {}),
+    });
+
+    if (canGenerateVideo(getImageProvider(settings.imageProvider), settings)) {
+        const job = enqueueMessageImageJob(prompt, message, onStart, shape, true);
+        clipJob.cancel = () => {
+            clipJob.cancelled = true;
+            job.cancel();
+        };
+        clipJob.promise = job.promise.then(url => ({ url, ...describe(job) }));
+    } else {
+        const count = Math.min(MAX_VIDEO_FRAMES, Math.max(2, settings.videoFrames || DEFAULT_SETTINGS.videoFrames));
+        let started = false;
+        const onFrameStart = () => {
+            if (!started) onStart?.();
+            started = true;
+        };
+        const jobs = Array.from({ length: count }, (_, i) => enqueueMessageImageJob(prompt, message, onFrameStart, {
+            ratio: shape.ratio,
+            ref: shape.ref,
+            seed: Number.isInteger(shape.seed) ? shape.seed + i : undefined,
+        }));
+        clipJob.cancel = () => {
+            clipJob.cancelled = true;
+            jobs.forEach(job => job.cancel());
+        };
+        clipJob.promise = Promise.all(jobs.map(job => job.promise)).then(
+            frames => ({ frames, ...describe(jobs[0]) }),
+            (error) => {
+                // One failed frame spoils the loop; the frames already made are left to cleanup
+                jobs.forEach(job => job.cancel());
+                throw error;
+            },
+        );
+    }
+
+    ignoreUnhandledRejection(clipJob.promise);
+    return clipJob;
+}
+
+/**
+ * Generate a clip into a slot of a message, replacing the given wrapper. Works like
+ * generateImageIntoSlot(): the slot is stored in `phoneMedia['vidN']` as pending first,
+ * and a failed or cancelled clip leaves a retry card.
+ * @param {object} message
+ * @param {number} messageId
+ * @param {number} index - The clip slot index
+ * @param {string} prompt
+ * @param {JQuery} wrapper - The element to replace
+ * @param {{ kind?: string, ratio?: string, seed?: number, id?: string, ref?: string }} [shape] - From the tag; a retry keeps the stored one
+ * @returns {Promise<void>}
+ */
+async function generateVideoIntoSlot(message, messageId, index, prompt, wrapper, shape = {}) {
+    const key = `vid${index}`;
+    if (!message.extra) message.extra = {};
+    if (!message.extra.phoneMedia) message.extra.phoneMedia = {};
+    if (!message.extra.phoneMedia[key]) {
+        message.extra.phoneMedia[key] = { type: 'video', prompt, ...shape, clips: [], activeIndex: 0, status: 'pending' };
+    }
+    const media = message.extra.phoneMedia[key];
+    if (!media.clips?.length) media.status = 'pending';
+    linkSwipeMedia(message);
+
+    const isShown = () => message.extra?.phoneMedia?.[key] === media;
+
+    const pending = $(buildPendingVideo(index));
+    wrapper.replaceWith(pending);
+
+    const clipJob = enqueueVideoClip(prompt, message, () => pending.find('.phone-img-status').text('Generating\u2026'), getVariantShape(media));
+    pending.find('.phone-img-cancel-btn').on('click', () => clipJob.cancel());
+
+    let clip;
+    try {
+        clip = await clipJob.promise;
+    } catch (error) {
+        if (!clipJob.cancelled) console.error(`[${MODULE_NAME}] Failed to generate clip #${index}:`, error);
+
+        if (isShown()) {
+            const failed = $(buildFailedVideo(clipJob.cancelled ? 'Clip generation cancelled' : 'Clip generation failed', index));
+            getSlotElement(pending, messageId, index, 'data-phone-vid-slot').replaceWith(failed);
+            bindVideoRetry(failed, messageId, index, prompt);
+        }
+
+        if (chat[messageId] !== message) return;
+        if (!media.clips?.length) media.status = 'failed';
+        await saveChatConditional();
+        return;
+    }
+
+    if (chat[messageId] !== message) return;
+
+    console.log(`[${MODULE_NAME}] Clip #${index} generated: ${clip.url || `${clip.frames.length} frames`}`);
+
+    media.clips = [...(media.clips || []), clip];
+    media.activeIndex = media.clips.length - 1;
+    media.prompt = prompt;
+    media.status = 'done';
+
+    if (isShown()) {
+        const container = $(buildVideoContainer(media, index));
+        getSlotElement(pending, messageId, index, 'data-phone-vid-slot').replaceWith(container);
+
+        const mesText = container.closest('.mes_text');
+        if (mesText.length) bindVideoHandlers(mesText, messageId);
+    }
+
+    await saveChatConditional();
+}
+
+/**
+ * Restore a saved clip into its placeholder. Slots without a clip get a retry card.
+ * @param {JQuery} mesText
+ * @param {object} media - The phoneMedia['vidN'] entry
+ * @param {number} index
+ * @param {number} messageId
+ */
+function restoreVideo(mesText, media, index, messageId) {
+    const placeholder = findPlaceholder(mesText, 'data-phone-vid', index, getSettings().vidPlaceholderGlyph, media.id);
+
+    let card;
+    if (media.clips?.length) {
+        card = $(buildVideoContainer(media, index));
+    } else {
+        // 'pending' here means the page was closed or reloaded mid-generation
+        card = $(buildFailedVideo(media.status === 'pending' ? 'Clip generation interrupted' : 'Clip generation failed', index));
+        bindVideoRetry(card, messageId, index, media.prompt);
+    }
+
+    if (placeholder) {
+        placeholder.replaceWith(card);
+    } else {
+        mesText.append(card);
+    }
+}
+
+/**
+ * Delete one clip of a clip slot, files included. The last remaining clip can't be deleted.
+ * @param {number} messageId
+ * @param {number} index - Clip slot index
+ * @param {number} clipIndex - Index into the slot's clips
+ * @returns {Promise<boolean>} Whether the clip was removed
+ */
+async function deleteVideoClip(messageId, index, clipIndex) {
+    const media = chat[messageId]?.extra?.phoneMedia?.[`vid${index}`];
+    const clips = media?.clips || [];
+    if (clips.length < 2 || !clips[clipIndex]) return false;
+
+    const removed = clips[clipIndex];
+    media.clips = clips.filter((_, i) => i !== clipIndex);
+    const activeIndex = media.activeIndex ?? 0;
+    if (activeIndex > clipIndex || (activeIndex === clipIndex && activeIndex > 0)) media.activeIndex = activeIndex - 1;
+
+    await saveChatConditional();
+    await removeUnreferencedImageFiles(getClipFiles({ clips: [removed] }));
+    console.log(`[${MODULE_NAME}] Deleted clip ${clipIndex} of clip #${index} in message ${messageId}`);
+    return true;
+}
+
+/**
+ * Freeze an animated image on its current frame by swapping in a canvas copy of it.
+ * @param {HTMLImageElement} img
+ */
+function freezeAnimatedImage(img) {
+    if (!img.naturalWidth) return;
+    const canvas = document.createElement('canvas');
+    canvas.width = img.naturalWidth;
+    canvas.height = img.naturalHeight;
+    canvas.getContext('2d').drawImage(img, 0, 0);
+    try {
+        img.src = canvas.toDataURL();
+    } catch {
+        // Cross-origin images can't be copied; they keep animating
+    }
+}
+
+/**
+ * Get a clip player ready to show: preload a frame loop, and stop an animated image on
+ * its first frame until it is tapped.
+ * @param {JQuery} container - The .phone-vid-container
+ * @param {object} clip
+ */
+function prepareVideoStage(container, clip) {
+    clip?.frames?.forEach(url => {
+        new Image().src = url;
+    });
+
+    const stage = container.find('img.phone-vid-stage');
+    if (!clip?.url || !stage.length) return;
+    const freeze = () => {
+        if (!container.hasClass('playing')) freezeAnimatedImage(stage[0]);
+    };
+    if (stage[0].complete) freeze(); else stage.one('load', freeze);
+}
+
+/**
+ * Start or stop the clip in a player. Videos use the <video> element, frame loops step
+ * through their frames on a timer, and animated images freeze on the current frame.
+ * @param {JQuery} container - The .phone-vid-container
+ * @param {object} clip - { url } or { frames }
+ * @param {boolean} playing
+ */
+function setVideoPlaying(container, clip, playing) {
+    const stage = container.find('.phone-vid-stage');
+    clearInterval(container.data('frameTimer'));
+    container.toggleClass('playing', playing);
+    container.find('.phone-vid-play-btn').attr('title', playing ? 'Pause' : 'Play');
+    if (!clip || !stage.length) return;
+
+    if (stage.is('video')) {
+        if (playing) {
+            stage[0].play().catch(() => container.removeClass('playing'));
+        } else {
+            stage[0].pause();
+        }
+    } else if (clip.frames?.length) {
+        if (!playing) return;
+        let frame = Math.max(0, clip.frames.indexOf(stage.attr('src')));
+        container.data('frameTimer', setInterval(() => {
+            // The message was re-rendered or the chat changed
+            if (!stage[0].isConnected) {
+                clearInterval(container.data('frameTimer'));
+                return;
+            }
+            frame = (frame + 1) % clip.frames.length;
+            stage.attr('src', clip.frames[frame]);
+        }, VIDEO_FRAME_MS));
+    } else if (playing) {
+        stage.attr('src', clip.url);
+    } else {
+        freezeAnimatedImage(stage[0]);
+    }
+}
+
+/**
+ * Update a clip player after its clips or active clip changed.
+ * @param {JQuery} wrapper - The .phone-vid-wrapper
+ * @param {object} media - The phoneMedia['vidN'] entry
+ */
+function syncVideoPlayer(wrapper, media) {
+    const clips = media.clips || [];
+    const activeIndex = media.activeIndex ?? 0;
+    const clip = clips[activeIndex] || {};
+    const container = wrapper.find('.phone-vid-container');
+    const isVideo = isVideoFile(clip.url);
+
+    setVideoPlaying(container, null, false);
+    container.find('.phone-vid-stage').replaceWith(buildVideoStage(clip));
+    container.find('.phone-vid-badge').html(isVideo ? '&#128263;' : 'GIF').attr('title', isVideo ? 'Muted' : 'Animated loop');
+    container.find('.phone-img-counter').text(`${activeIndex + 1}/${clips.length}`).toggle(clips.length > 1);
+    container.find('.phone-img-nav-left').toggle(activeIndex > 0);
+    container.find('.phone-img-delete-btn').toggle(clips.length > 1);
+    prepareVideoStage(container, clip);
+}
+
+/**
+ * Bind tap-to-play and the carousel on every clip player in a message. Like the image
+ * carousel, the right arrow on the last clip generates a new one.
+ * @param {JQuery} mesText
+ * @param {number} messageId
+ */
+function bindVideoHandlers(mesText, messageId) {
+    mesText.find('.phone-vid-wrapper[data-phone-vid-slot]').each(function () {
+        const wrapper = $(this);
+        const container = wrapper.find('.phone-vid-container');
+        if (!container.length) return;
+
+        const index = Number(wrapper.attr('data-phone-vid-slot'));
+        const getMedia = () => chat[messageId]?.extra?.phoneMedia?.[`vid${index}`];
+        const getClip = () => {
+            const media = getMedia();
+            return media?.clips?.[media.activeIndex ?? 0];
+        };
+        const rightBtn = container.find('.phone-img-nav-right');
+
+        prepareVideoStage(container, getClip());
+
+        container.off('click.play').on('click.play', '.phone-vid-stage, .phone-vid-play-btn', function () {
+            setVideoPlaying(container, getClip(), !container.hasClass('playing'));
+        });
+
+        container.find('.phone-img-delete-btn').off('click').on('click', async function () {
+            const media = getMedia();
+            if ((media?.clips?.length ?? 0) < 2) return;
+            if (!await callGenericPopup('Delete this clip? Its files are removed too.', POPUP_TYPE.CONFIRM)) return;
+
+            if (await deleteVideoClip(messageId, index, media.activeIndex ?? 0)) syncVideoPlayer(wrapper, media);
+        });
+
+        container.find('.phone-img-nav-left').off('click').on('click', function () {
+            const media = getMedia();
+            if (!media || (media.activeIndex ?? 0) <= 0) return;
+            media.activeIndex--;
+            syncVideoPlayer(wrapper, media);
+        });
+
+        rightBtn.off('click').on('click', async function () {
+            const message = chat[messageId];
+            const media = getMedia();
+            if (!media?.clips?.length) return;
+
+            if ((media.activeIndex ?? 0) < media.clips.length - 1) {
+                media.activeIndex = (media.activeIndex ?? 0) + 1;
+                syncVideoPlayer(wrapper, media);
+                return;
+            }
+
+            // Generate a new clip
+            const clipJob = enqueueVideoClip(media.prompt, message, null, getVariantShape(media));
+            setVideoPlaying(container, getClip(), false);
+            container.find('.phone-vid-stage').addClass('fading');
+            const spinner = $('<div class="phone-img-overlay-spinner"></div>');
+            const cancelBtn = $('<button class="phone-img-overlay-cancel" title="Cancel">&#10005;</button>').on('click', () => clipJob.cancel());
+            container.append(spinner, cancelBtn);
+            rightBtn.prop('disabled', true);
+
+            try {
+                const clip = await clipJob.promise;
+                media.clips.push(clip);
+                media.activeIndex = media.clips.length - 1;
+                syncVideoPlayer(wrapper, media);
+
+                await saveChatConditional();
+                console.log(`[${MODULE_NAME}] Generated clip #${media.activeIndex} for clip slot #${index} in message ${messageId}`);
+            } catch (error) {
+                if (!clipJob.cancelled) console.error(`[${MODULE_NAME}] Clip generation failed:`, error);
+            } finally {
+                container.find('.phone-vid-stage').removeClass('fading');
+                spinner.remove();
+                cancelBtn.remove();
+                rightBtn.prop('disabled', false);
+            }
+        });
+    });
+}
+
+/** How much of the start of a stream must match the last message's text (see isStreamedReply()) */
+const STREAM_MATCH_LENGTH = 32;
+
+/** Image jobs started while a reply was streaming, keyed by `${messageId}:${index}` */
+const streamingImageJobs = new Map();
+
+/**
+ * Handle a streamed chunk of the last message: queue images whose [IMG] block has fully
+ * arrived, then hide tag text and reserve placeholders once the chunk is on screen.
+ * The final render picks the jobs up through takeStreamingImageJob().
+ * @param {string} text - The reply text so far
+ */
+function onStreamTokenReceived(text) {
+    const settings = getSettings();
+    if (!settings.processWhileStreaming || typeof text !== 'string') return;
+
+    const messageId = chat.length - 1;
+    const message = chat[messageId];
+    // Continuing an already processed message is left to the final render
+    if (!message || message.is_user || message.is_system || processedMessages.has(messageId)) return;
+    if (!isStreamedReply(message, text)) return;
+
+    if (settings.imagesEnabled) {
+        // A tag without its closing bracket may still be growing
+        for (const tag of parseTags(text, ['IMG'])) {
+            const key = `${messageId}:${tag.index}`;
+            if (!tag.closed || !tag.content || streamingImageJobs.has(key)) continue;
+
+            console.log(`[${MODULE_NAME}] Starting image #${tag.index} of message ${messageId} while streaming`);
+            const job = enqueueMessageImageJob(tag.content, message, null, getImageTagFields(tag));
+            streamingImageJobs.set(key, { prompt: tag.content, id: tag.id, job });
+        }
+    }
+
+    // The chunk is rendered right after this event
+    requestAnimationFrame(() => hideStreamingTags(messageId));
+}
+
+/**
+ * Check that a stream is writing into this character reply, and not e.g. an impersonation
+ * or a quiet prompt. SillyTavern updates `mes` a chunk behind the event, with the speaker's
+ * name and extra whitespace cleaned up, so the start of the streamed text is looked for in
+ * `mes`. Until it shows up (the first chunk, or a short reply) the chunk is left alone.
+ * @param {object} message - The last chat message
+ * @param {string} text - The streamed text so far
+ * @returns {boolean}
+ */
+function isStreamedReply(message, text) {
+    const normalize = value => String(value ?? '').replace(/\s+/g, ' ').trim();
+    let streamed = normalize(text);
+    if (message.name && streamed.startsWith(`${message.name}:`)) streamed = streamed.slice(message.name.length + 1).trim();
+    const sample = streamed.slice(0, STREAM_MATCH_LENGTH);
+    return sample.length === STREAM_MATCH_LENGTH && normalize(message.mes).includes(sample);
+}
+
+/**
+ * Hide [IMG]/[VN] tag text in a streaming message, including a tag that is still open,
+ * and show reserved cards in place of the image placeholders.
+ * @param {number} messageId
+ */
+function hideStreamingTags(messageId) {
+    if (processedMessages.has(messageId)) return;
+    const mesText = $(`#chat .mes[mesid="${messageId}"] .mes_text`);
+    if (!mesText.length) return;
+
+    // Also hides the content of a tag that is still open, up to the end of its line
+    stripTagsFromDOM(mesText, getEnabledTagNames(), true);
+
+    if (getSettings().imagesEnabled) {
+        const entries = [...streamingImageJobs].filter(([key]) => key.startsWith(`${messageId}:`));
+        mesText.find('[data-phone-img]').each(function () {
+            // Placeholders name their tag by index or by its id attribute
+            const value = String($(this).attr('data-phone-img'));
+            const [key, entry] = entries.find(([k, e]) => k === `${messageId}:${value}` || (e.id && e.id === value)) || [];
+            const index = key ? Number(key.split(':')[1]) : Number(value) || 0;
+            const status = {
+                queued: 'Queued',
+                running: 'Generating\u2026',
+                done: 'Ready',
+                failed: 'Image generation failed',
+                cancelled: 'Image generation cancelled',
+            }[entry?.job.status] || 'Waiting for prompt\u2026';
+
+            const card = $(buildPendingImage(index));
+            card.find('.phone-img-status').text(status);
+            card.find('.phone-img-cancel-btn').toggle(entry?.job.status === 'queued' || entry?.job.status === 'running')
+                .on('click', () => entry.job.cancel());
+            $(this).replaceWith(card);
+        });
+    }
+
+    if (getSettings().voiceNotesEnabled) {
+        mesText.find('[data-phone-vn]').addClass('phone-vn-streaming');
+    }
+}
+
+/**
+ * Take the job started while streaming for an image slot. A job for a different prompt
+ * (the tag changed before the reply finished) is cancelled instead.
+ * @param {number} messageId
+ * @param {number} index
+ * @param {string} prompt
+ * @returns {ImageJob|null}
+ */
+function takeStreamingImageJob(messageId, index, prompt) {
+    const key = `${messageId}:${index}`;
+    const entry = streamingImageJobs.get(key);
+    if (!entry) return null;
+
+    streamingImageJobs.delete(key);
+    if (entry.prompt !== prompt) {
+        entry.job.cancel();
+        return null;
+    }
+    return entry.job;
+}
+
+/**
+ * Cancel streaming jobs of a message that the final render didn't use.
+ * @param {number} messageId
  */
-function buildLoadingPlaceholder() {
-    return `<div class="phone-img-wrapper"></div>`;
+function cancelStreamingImageJobs(messageId) {
+    for (const [key, entry] of streamingImageJobs) {
+        if (!key.startsWith(`${messageId}:`)) continue;
+        entry.job.cancel();
+        streamingImageJobs.delete(key);
+    }
+}
+
+/**
+ * Resolve the element currently occupying an image slot. Usually the card we inserted,
+ * but if the message was re-rendered meanwhile (e.g. /phone-ui), the restored card instead.
+ * @param {JQuery} card - The card inserted for this job
+ * @param {number} messageId
+ * @param {number} index
+ * @param {string} [slotAttr] - Attribute carrying the slot index ('data-phone-vid-slot' for clips)
+ * @returns {JQuery}
+ */
+function getSlotElement(card, messageId, index, slotAttr = 'data-phone-img-slot') {
+    if (card[0].isConnected) return card;
+    const restored = $(`#chat .mes[mesid="${messageId}"] .mes_text [${slotAttr}="${index}"]`);
+    return restored.length ? restored.first() : card;
 }
 
 /**
  * Build the interactive voice note player HTML.
+ * @param {number} index - The voice note slot index, which binds the player to `phoneMedia['vn' + index]`
  * @param {string} vnText - The voice note text for the editor
+ * @param {number} [durationSeconds] - Real duration, if known (otherwise estimated from text)
+ * @param {number[]} [peaks] - Stored amplitude envelope for the waveform
  * @returns {string}
  */
-function buildVoiceNotePlayer(vnText) {
+function buildVoiceNotePlayer(index, vnText, durationSeconds, peaks) {
     const escapedText = $('<span>').text(vnText).html();
-    const duration = formatDuration(estimateTtsDuration(vnText));
-    return `<div class="phone-vn-wrapper">
+    const seconds = durationSeconds ? Math.round(durationSeconds) : estimateTtsDuration(vnText);
+    const duration = formatDuration(seconds);
+    return `<div class="phone-vn-wrapper" data-phone-vn-slot="${index}">
         <div class="phone-vn-container">
             <button class="phone-vn-play-btn" title="Play voice note">&#9654;</button>
-            <div class="phone-vn-waveform">${buildWaveformBars()}</div>
+            <div class="phone-vn-waveform">${buildWaveformBars(vnText, seconds, peaks)}</div>
             <span class="phone-vn-duration">${duration}</span>
+            <button class="phone-vn-speed-btn" title="Playback speed">${getSettings().vnPlaybackRate || 1}x</button>
             <button class="phone-vn-edit-btn" title="Edit voice note text">&#9998;</button>
+            <button class="phone-vn-play-all-btn" title="Play all from here">&raquo;</button>
         </div>
         <div class="phone-vn-editor" style="display:none;">
             <textarea class="phone-vn-editor-textarea">${escapedText}</textarea>
+            <input class="text_pole phone-vn-voice-input" type="text" placeholder="Voice (default: character)" />
+            <datalist class="phone-vn-voice-options"></datalist>
             <div class="phone-vn-editor-actions">
                 <button class="phone-vn-save-btn">Save</button>
                 <button class="phone-vn-save-play-btn">Save &amp; Play</button>
@@ -292,77 +3203,144 @@ function buildVoiceNotePlayer(vnText) {
 }
 
 /**
- * Strip [IMG]...[/IMG] and [VN]...[/VN] spans from the DOM using Range API.
+ * Strip media tag spans ([IMG]...[/IMG], [VN]...[/VN]) from the DOM using Range API.
  * Works across element boundaries (tags split by <br>, <em>, etc.).
  * Preserves all event bindings on unrelated elements.
+ * Tags are delimited the way tags.js parses them: an unclosed tag's content ends at the first
+ * line break or opening tag of any type, and only its opening tag is removed unless
+ * `hideUnclosed` is set. Stray closing tags go too.
  * For VN tags, inserts invisible marker spans at each [VN] position before deletion.
  * @param {JQuery} mesText
+ * @param {string[]} [tagNames] - Tags to strip (defaults to the tags whose processing is enabled)
+ * @param {boolean} [hideUnclosed=false] - Also remove an unclosed tag's content (for a reply that is still streaming)
  * @returns {HTMLElement[]} Array of VN marker elements inserted at each [VN] position
  */
-function stripTagsFromDOM(mesText) {
+function stripTagsFromDOM(mesText, tagNames = getEnabledTagNames(), hideUnclosed = false) {
     const root = mesText[0];
-    const tagNames = ['IMG', 'VN'];
     const vnMarkers = [];
+    const anyOpenPattern = openTagPattern(getTagTypes().map(type => type.name));
+    const blockSelector = 'p, div, li, blockquote, pre, h1, h2, h3, h4, h5, h6, td';
 
     for (const tag of tagNames) {
-        const openPattern = `[${tag}]`;
-        const closePattern = `[/${tag}]`;
+        const openPattern = openTagPattern(tag);
+        const closePattern = closeTagPattern(tag);
 
-        // Repeat until no more pairs found
+        // Repeat until no more opening tags are found
         while (true) {
-            const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, null);
-            let openNode = null, openOffset = -1;
+            const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT, null);
+            let openNode = null, openOffset = -1, openEnd = -1, openBlock = null;
             let closeNode = null, closeOffset = -1;
-            let textNode;
+            let stopNode = null, stopOffset = -1;
+            let node;
+
+            while ((node = walker.nextNode())) {
+                if (node.nodeType === Node.ELEMENT_NODE) {
+                    // A line break ends an unclosed tag's content
+                    if (openNode && !stopNode && node.nodeName === 'BR') {
+                        stopNode = node.parentNode;
+                        stopOffset = [...stopNode.childNodes].indexOf(node);
+                    }
+                    continue;
+                }
 
-            while ((textNode = walker.nextNode())) {
-                const val = textNode.nodeValue;
+                const val = node.nodeValue;
+                let from = 0;
                 if (!openNode) {
-                    const idx = val.indexOf(openPattern);
-                    if (idx !== -1) {
-                        openNode = textNode;
-                        openOffset = idx;
-                    }
+                    const open = openPattern.exec(val);
+                    if (!open) continue;
+                    openNode = node;
+                    openOffset = open.index;
+                    openEnd = from = open.index + open[0].length;
+                    openBlock = node.parentElement?.closest(blockSelector);
+                } else if (!stopNode && node.parentElement?.closest(blockSelector) !== openBlock) {
+                    // So does the start of another paragraph
+                    stopNode = node;
+                    stopOffset = 0;
                 }
-                if (openNode) {
-                    const idx = textNode.nodeValue.indexOf(closePattern);
-                    if (idx !== -1) {
-                        closeNode = textNode;
-                        closeOffset = idx + closePattern.length;
-                        break;
+
+                const rest = val.slice(from);
+                if (!stopNode) {
+                    const stops = [rest.indexOf('\n'), rest.search(anyOpenPattern)].filter(i => i >= 0);
+                    if (stops.length) {
+                        stopNode = node;
+                        stopOffset = from + Math.min(...stops);
                     }
                 }
+
+                // The span ends after the closing tag; another opening tag of its type means it is unclosed
+                const close = closePattern.exec(rest);
+                const nextOpen = openPattern.exec(rest);
+                if (close && (!nextOpen || close.index < nextOpen.index)) {
+                    closeNode = node;
+                    closeOffset = from + close.index + close[0].length;
+                    break;
+                }
+                if (nextOpen) break;
             }
 
-            if (!openNode || !closeNode) break;
+            if (!openNode) break;
+
+            const range = document.createRange();
+            range.setStart(openNode, openOffset);
+            if (closeNode) {
+                range.setEnd(closeNode, closeOffset);
+            } else if (!hideUnclosed) {
+                // Unclosed: the text after the opening tag is narrative, not tag content
+                range.setEnd(openNode, openEnd);
+            } else if (stopNode) {
+                range.setEnd(stopNode, stopOffset);
+            } else {
+                range.setEndAfter(root.lastChild);
+            }
 
             // For VN tags, insert invisible marker before deleting
             if (tag === 'VN') {
                 const marker = document.createElement('span');
                 marker.className = 'phone-vn-marker';
                 marker.style.display = 'none';
-                openNode.parentNode.insertBefore(marker, openNode.splitText(openOffset));
-                // Recalculate: splitting moved content to a new text node
-                const newTextNode = marker.nextSibling;
-                openNode = newTextNode;
-                openOffset = 0;
+                range.insertNode(marker);
+                range.setStartAfter(marker);
                 vnMarkers.push(marker);
             }
 
-            const range = document.createRange();
-            range.setStart(openNode, openOffset);
-            range.setEnd(closeNode, closeOffset);
+            const endNode = range.endContainer;
             range.deleteContents();
 
             // Clean up empty text nodes left behind
-            if (openNode.parentNode && openNode.nodeValue === '') openNode.remove();
-            if (closeNode !== openNode && closeNode.parentNode && closeNode.nodeValue === '') closeNode.remove();
+            for (const textNode of [openNode, endNode]) {
+                if (textNode.nodeType === Node.TEXT_NODE && textNode.parentNode && textNode.nodeValue === '') textNode.remove();
+            }
+        }
+
+        // Closing tags without an opening tag
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, null);
+        const strayCloses = [];
+        let textNode;
+        while ((textNode = walker.nextNode())) {
+            if (closePattern.test(textNode.nodeValue)) strayCloses.push(textNode);
+        }
+        for (const node of strayCloses) {
+            node.nodeValue = node.nodeValue.replace(closeTagPattern(tag, 'gi'), '');
         }
     }
 
     return vnMarkers;
 }
 
+/**
+ * Get the media tags whose processing is enabled in settings.
+ * @returns {string[]}
+ */
+function getEnabledTagNames() {
+    const settings = getSettings();
+    const tagNames = [];
+    if (settings.imagesEnabled) tagNames.push('IMG');
+    if (settings.voiceNotesEnabled) tagNames.push('VN');
+    if (settings.locationsEnabled) tagNames.push('LOC');
+    if (settings.videosEnabled) tagNames.push('VID');
+    return tagNames;
+}
+
 /**
  * Remove static LLM-generated VN placeholder elements that weren't replaced
  * by the interactive player. Cleans up orphan placeholders to prevent duplicates.
@@ -380,11 +3358,12 @@ function removeStaticVnPlaceholders(mesText) {
     });
 
     // Remove divs with "Voice note" + ▶ text that aren't part of .phone-vn-wrapper
+    const glyph = getSettings().vnPlaceholderGlyph;
     mesText.find('div').each(function () {
         const el = $(this);
         if (el.closest('.phone-vn-wrapper').length) return;
         const text = el.text();
-        if (/voice\s*note/i.test(text) && text.includes('\u25B6') && !el.find('.phone-vn-wrapper').length) {
+        if (/voice\s*note/i.test(text) && (!glyph || text.includes(glyph)) && !el.find('.phone-vn-wrapper').length) {
             el.remove();
         }
     });
@@ -396,11 +3375,15 @@ function removeStaticVnPlaceholders(mesText) {
 /**
  * Clean voice note text for TTS by removing non-verbal expressions.
  * Strips italicized content (*laughs*, _sighs_) which represents
- * paralinguistic or emotional expressions not meant to be spoken.
+ * paralinguistic or emotional expressions not meant to be spoken,
+ * unless disabled in settings.
  * @param {string} text
  * @returns {string}
  */
 function cleanVnTextForTts(text) {
+    if (!getSettings().stripItalicsForTts) {
+        return text.replace(/\s{2,}/g, ' ').trim();
+    }
     return text
         .replace(/\*[^*]+\*/g, '')
         .replace(/_[^_]+_/g, '')
@@ -425,67 +3408,110 @@ async function onCharacterMessageRendered(messageId) {
     const mesText = messageElement.find('.mes_text');
     if (!mesText.length) return;
 
-    // Check for restore vs first-gen
-    const hasImgTags = /\[IMG\]/i.test(messageText);
-    const hasVnTags = /\[VN\]/i.test(messageText);
+    // Check for restore vs first-gen (disabled media types are left untouched)
+    const settings = getSettings();
+    const tags = parseTags(messageText, getEnabledTagNames());
+    const imgTags = tags.filter(tag => tag.name === 'IMG');
+    const vnTags = tags.filter(tag => tag.name === 'VN');
+    const locTags = tags.filter(tag => tag.name === 'LOC');
+    const vidTags = tags.filter(tag => tag.name === 'VID');
+    const hasImgTags = imgTags.length > 0;
+    const hasVnTags = vnTags.length > 0;
+    const hasLocTags = locTags.length > 0;
+    const hasVidTags = vidTags.length > 0;
     const phoneMedia = message.extra?.phoneMedia;
 
-    // VN tags now persist in message.mes, so VN restore is detected by having phoneMedia vn entries
+    // VN and LOC tags persist in message.mes, so their restore is detected by having phoneMedia entries
     const hasVnMedia = phoneMedia && Object.keys(phoneMedia).some(k => k.startsWith('vn'));
-    const hasImgMedia = phoneMedia && Object.keys(phoneMedia).some(k => !k.startsWith('vn'));
+    const hasLocMedia = phoneMedia && Object.keys(phoneMedia).some(k => k.startsWith('loc'));
 
-    // IMG restore: no IMG tags in mes but phoneMedia has image entries (tags were stripped on first gen)
-    // VN restore: VN tags in mes AND phoneMedia has vn entries (tags kept, media already generated)
+    // IMG / VID restore: no tags in mes but phoneMedia has entries (tags were stripped on first gen)
+    // VN / LOC restore: tags in mes AND phoneMedia has matching entries (tags kept, media already built)
     const imgNeedsGen = hasImgTags;
+    const vidNeedsGen = hasVidTags;
     const vnNeedsGen = hasVnTags && !hasVnMedia;
+    const locNeedsGen = hasLocTags && !hasLocMedia;
 
     // Restore mode — nothing needs first-gen processing
-    if (!imgNeedsGen && !vnNeedsGen && phoneMedia && Object.keys(phoneMedia).length > 0) {
+    if (!imgNeedsGen && !vidNeedsGen && !vnNeedsGen && !locNeedsGen && phoneMedia && Object.keys(phoneMedia).length > 0) {
         processedMessages.add(messageId);
+        // Also migrates media stored before per-swipe storage onto the current swipe
+        linkSwipeMedia(message);
         const vnMarkers = stripTagsFromDOM(mesText);
         for (const [idxStr, media] of Object.entries(phoneMedia)) {
-            if (media.type === 'image') {
+            if (media.type === 'image' && settings.imagesEnabled) {
                 const idx = parseInt(idxStr, 10);
-                restoreImage(mesText, media, idx);
+                restoreImage(mesText, media, idx, messageId);
             }
-            if (media.type === 'voice_note') {
+            if (media.type === 'voice_note' && settings.voiceNotesEnabled) {
                 const idx = parseInt(idxStr.replace('vn', ''), 10);
                 restoreVoiceNote(mesText, media, idx, messageId, vnMarkers);
             }
+            if (media.type === 'location' && settings.locationsEnabled) {
+                const idx = parseInt(idxStr.replace('loc', ''), 10);
+                restoreLocation(mesText, media, idx);
+            }
+            if (media.type === 'video' && settings.videosEnabled) {
+                const idx = parseInt(idxStr.replace('vid', ''), 10);
+                restoreVideo(mesText, media, idx, messageId);
+            }
         }
-        removeStaticVnPlaceholders(mesText);
+        if (settings.voiceNotesEnabled) removeStaticVnPlaceholders(mesText);
+        groupImageAlbums(mesText);
         bindCarouselHandlers(mesText, messageId);
+        bindVideoHandlers(mesText, messageId);
         return;
     }
 
-    if (!hasImgTags && !hasVnTags) return;
+    if (!hasImgTags && !hasVnTags && !hasLocTags && !hasVidTags) return;
 
     processedMessages.add(messageId);
 
-    // Collect all matches
-    const imgMatches = [...messageText.matchAll(IMG_TAG_REGEX)];
-    const vnMatches = [...messageText.matchAll(VN_TAG_REGEX)];
-
     if (!message.extra) message.extra = {};
-    if (!message.extra.phoneMedia) message.extra.phoneMedia = {};
-
-    // Strip [IMG] tags from message text (VN tags kept for edit flow)
-    message.mes = message.mes.replace(STRIP_IMG_TAGS_REGEX, '').trim();
+    // A new swipe may arrive carrying the previous swipe's media object; never write into that
+    if (!message.extra.phoneMedia || isMediaOfOtherSwipe(message)) message.extra.phoneMedia = {};
+    linkSwipeMedia(message);
+
+    // Strip [IMG] and [VID] tags from message text (VN tags kept for edit flow). The swipe's copy of
+    // the text is stripped too, so swiping back restores the images instead of regenerating them.
+    const generatedTagNames = [hasImgTags && 'IMG', hasVidTags && 'VID'].filter(Boolean);
+    if (generatedTagNames.length) {
+        message.mes = stripTags(message.mes, generatedTagNames).trim();
+        if (typeof message.swipes?.[message.swipe_id] === 'string') {
+            message.swipes[message.swipe_id] = stripTags(message.swipes[message.swipe_id], generatedTagNames).trim();
+        }
+    }
 
-    // Collect VN placeholder references BEFORE stripTagsFromDOM (which may delete them)
-    const vnPlaceholderRefs = vnMatches.map((_, i) => findPlaceholder(mesText, 'data-phone-vn', i, '\u25B6'));
+    // Collect VN and LOC placeholder references BEFORE stripTagsFromDOM (which may delete them)
+    const vnPlaceholderRefs = vnTags.map(tag => findPlaceholder(mesText, 'data-phone-vn', tag.index, getSettings().vnPlaceholderGlyph, tag.id));
+    const locPlaceholderRefs = locTags.map(tag => findPlaceholder(mesText, 'data-phone-loc', tag.index, getSettings().locPlaceholderGlyph, tag.id));
 
     // Strip from rendered DOM — returns VN position markers
     const vnMarkers = stripTagsFromDOM(mesText);
 
     // Process voice notes (non-blocking — user clicks to play)
-    for (let i = 0; i < vnMatches.length; i++) {
-        const vnText = vnMatches[i][1].trim();
+    for (const tag of vnTags) {
+        const i = tag.index;
+        // An [IMG] written inside the note is not part of what is said
+        const vnText = getTagText(tag);
         if (!vnText) continue;
 
         console.log(`[${MODULE_NAME}] Found [VN] tag #${i} in message ${messageId}`);
 
-        const playerHtml = buildVoiceNotePlayer(vnText);
+        // Keep an existing entry (cached audio, waveform, edits); only a changed text drops the audio
+        const key = `vn${i}`;
+        if (message.extra.phoneMedia[key]?.type !== 'voice_note') {
+            message.extra.phoneMedia[key] = { type: 'voice_note', text: vnText };
+        }
+        const media = message.extra.phoneMedia[key];
+        if (media.text !== vnText) {
+            media.text = vnText;
+            invalidateVnAudioCache(media);
+        }
+        if (tag.attributes.voice) media.voice = tag.attributes.voice;
+        if (tag.id) media.id = tag.id;
+
+        const playerHtml = buildVoiceNotePlayer(i, vnText, media.duration, media.peaks);
         let inserted = false;
 
         // Try saved placeholder reference (if still in DOM)
@@ -497,7 +3523,7 @@ async function onCharacterMessageRendered(messageId) {
 
         // Try improved findPlaceholder
         if (!inserted) {
-            const placeholder = findPlaceholder(mesText, 'data-phone-vn', i, '\u25B6');
+            const placeholder = findPlaceholder(mesText, 'data-phone-vn', i, getSettings().vnPlaceholderGlyph, tag.id);
             if (placeholder) {
                 placeholder.replaceWith(playerHtml);
                 inserted = true;
@@ -516,65 +3542,136 @@ async function onCharacterMessageRendered(messageId) {
         }
 
         // Bind click-to-play and edit handler on the newly inserted player
-        const wrapper = mesText.find('.phone-vn-wrapper').eq(i);
+        const wrapper = mesText.find(`.phone-vn-wrapper[data-phone-vn-slot="${i}"]`);
         const player = wrapper.find('.phone-vn-container');
         bindVoiceNotePlayer(player, messageId, i);
         bindVnEditHandler(wrapper, messageId, i);
+    }
+
+    // Location cards are built offline, so they are saved straight away
+    for (const tag of locTags) {
+        const media = createLocationMedia(tag);
+        if (!media.name) continue;
 
-        message.extra.phoneMedia[`vn${i}`] = { type: 'voice_note', text: vnText };
+        console.log(`[${MODULE_NAME}] Found [LOC] tag #${tag.index} in message ${messageId}: ${media.name}`);
+        restoreLocation(mesText, media, tag.index, locPlaceholderRefs[tag.index]);
+        message.extra.phoneMedia[`loc${tag.index}`] = media;
     }
 
     // Clean up any remaining LLM-generated static VN placeholders
-    removeStaticVnPlaceholders(mesText);
+    if (settings.voiceNotesEnabled) removeStaticVnPlaceholders(mesText);
+
+    // Auto-play the new voice notes in order, after any that are still queued
+    if (settings.autoPlayVoiceNotes) {
+        const newNotes = vnTags
+            .map(tag => ({ messageId, vnIndex: tag.index }))
+            .filter(({ vnIndex }) => message.extra.phoneMedia[`vn${vnIndex}`]);
+        if (newNotes.length) playVnSequence(newNotes, true);
+    }
 
-    // Process images sequentially
-    for (let i = 0; i < imgMatches.length; i++) {
-        const prompt = imgMatches[i][1].trim();
+    // Queue images — each job fills its own slot and saves the chat when it finishes,
+    // so the render event (and other messages) are not blocked on generation
+    for (const tag of imgTags) {
+        const i = tag.index;
+        const prompt = tag.content;
         if (!prompt) continue;
 
         console.log(`[${MODULE_NAME}] Found [IMG] tag #${i} in message ${messageId}: ${prompt.substring(0, 80)}...`);
 
-        const placeholder = findPlaceholder(mesText, 'data-phone-img', i, '\uD83D\uDCF8');
+        const placeholder = findPlaceholder(mesText, 'data-phone-img', i, getSettings().imgPlaceholderGlyph, tag.id);
 
         // Insert an empty wrapper to reserve the image's layout slot
-        const loadingHtml = buildLoadingPlaceholder();
+        const loadingWrapper = $(buildLoadingPlaceholder());
         if (placeholder) {
-            placeholder.replaceWith(loadingHtml);
+            placeholder.replaceWith(loadingWrapper);
         } else {
-            mesText.append(loadingHtml);
+            mesText.append(loadingWrapper);
         }
-        const loadingWrapper = mesText.find('.phone-img-wrapper').not(':has(.phone-img)').last();
 
-        try {
-            const result = await executeSlashCommandsWithOptions(
-                `/imagine quiet=true gallery=false ${sanitizeForSlashCommand(prompt)}`,
-                { handleParserErrors: true, handleExecutionErrors: true },
-            );
-
-            const imageUrl = result?.pipe;
-            if (!imageUrl) {
-                console.warn(`[${MODULE_NAME}] /imagine returned no image URL for tag #${i}`);
-                loadingWrapper.replaceWith('<div class="phone-img-wrapper"><div class="phone-img-loading">Image generation failed</div></div>');
-                continue;
-            }
+        generateImageIntoSlot(message, messageId, i, prompt, loadingWrapper, getImageTagFields(tag));
+    }
 
-            console.log(`[${MODULE_NAME}] Image #${i} generated: ${imageUrl}`);
+    // Clips queue the same way, as one video job or as several frames
+    for (const tag of vidTags) {
+        if (!tag.content) continue;
 
-            const containerHtml = buildImageContainer(imageUrl, prompt, 1, 0);
-            loadingWrapper.replaceWith(containerHtml);
+        console.log(`[${MODULE_NAME}] Found [VID] tag #${tag.index} in message ${messageId}: ${tag.content.substring(0, 80)}...`);
 
-            message.extra.phoneMedia[i] = { urls: [imageUrl], type: 'image', prompt, activeIndex: 0 };
-        } catch (error) {
-            console.error(`[${MODULE_NAME}] Failed to generate image #${i}:`, error);
-            loadingWrapper.replaceWith('<div class="phone-img-wrapper"><div class="phone-img-loading">Image generation failed</div></div>');
+        const placeholder = findPlaceholder(mesText, 'data-phone-vid', tag.index, getSettings().vidPlaceholderGlyph, tag.id);
+        const loadingWrapper = $('<div class="phone-vid-wrapper"></div>');
+        if (placeholder) {
+            placeholder.replaceWith(loadingWrapper);
+        } else {
+            mesText.append(loadingWrapper);
         }
+
+        generateVideoIntoSlot(message, messageId, tag.index, tag.content, loadingWrapper, getImageTagFields(tag));
     }
 
+    // Several photos in one bubble become an album grid
+    groupImageAlbums(mesText);
+
     // Bind carousel navigation handlers
     bindCarouselHandlers(mesText, messageId);
 
     await saveChatConditional();
-    console.log(`[${MODULE_NAME}] Processed message ${messageId}: ${imgMatches.length} images, ${vnMatches.length} voice notes`);
+    console.log(`[${MODULE_NAME}] Processed message ${messageId}: ${imgTags.length} images and ${vidTags.length} clips queued, ${vnTags.length} voice notes, ${locTags.length} locations`);
+}
+
+/**
+ * Mirror a message's phoneMedia into its current swipe's `swipe_info[].extra`. Both point at
+ * the same object, so later changes (new variants, cached audio) land in the swipe too and
+ * each swipe keeps its own media.
+ * @param {object} message
+ */
+function linkSwipeMedia(message) {
+    const swipeInfo = message?.swipe_info?.[message.swipe_id];
+    const phoneMedia = message?.extra?.phoneMedia;
+    if (!swipeInfo || !phoneMedia) return;
+    if (!swipeInfo.extra) swipeInfo.extra = {};
+    swipeInfo.extra.phoneMedia = phoneMedia;
+}
+
+/**
+ * Check whether a message's phoneMedia object is the one stored for a different swipe.
+ * @param {object} message
+ * @returns {boolean}
+ */
+function isMediaOfOtherSwipe(message) {
+    const phoneMedia = message?.extra?.phoneMedia;
+    return !!phoneMedia && !!message.swipe_info?.some((info, swipeId) => swipeId !== message.swipe_id && info?.extra?.phoneMedia === phoneMedia);
+}
+
+/**
+ * Point a swiped message's phoneMedia at the media stored for the swipe now shown, or
+ * clear it for a swipe without media (e.g. one that is about to be generated).
+ * @param {object} message
+ */
+function restoreSwipeMedia(message) {
+    if (!message || !Array.isArray(message.swipes)) return;
+    if (!message.extra) message.extra = {};
+
+    const swipeMedia = message.swipe_info?.[message.swipe_id]?.extra?.phoneMedia;
+    if (swipeMedia) {
+        message.extra.phoneMedia = swipeMedia;
+    } else {
+        delete message.extra.phoneMedia;
+    }
+}
+
+/**
+ * Handle a swipe: switch phoneMedia to the new swipe's set and re-render it. Swipes that
+ * already exist are restored from storage; new ones are processed when they render.
+ * @param {number} messageId
+ */
+function onMessageSwiped(messageId) {
+    processedMessages.delete(messageId);
+    cancelStreamingImageJobs(messageId);
+    restoreSwipeMedia(chat[messageId]);
+    stopVnSequence();
+
+    // Delay to ensure the swipe's text is rendered
+    requestAnimationFrame(() => onCharacterMessageRendered(messageId));
 }
 
 /**
@@ -586,11 +3683,11 @@ async function onCharacterMessageRendered(messageId) {
  * @param {HTMLElement[]} [vnMarkers] - Position markers from stripTagsFromDOM
  */
 function restoreVoiceNote(mesText, media, index, messageId, vnMarkers) {
-    const playerHtml = buildVoiceNotePlayer(media.text);
+    const playerHtml = buildVoiceNotePlayer(index, media.text, media.duration, media.peaks);
     let inserted = false;
 
     // Try findPlaceholder (improved with broader VN matching)
-    const placeholder = findPlaceholder(mesText, 'data-phone-vn', index, '\u25B6');
+    const placeholder = findPlaceholder(mesText, 'data-phone-vn', index, getSettings().vnPlaceholderGlyph, media.id);
     if (placeholder) {
         placeholder.replaceWith(playerHtml);
         inserted = true;
@@ -607,7 +3704,7 @@ function restoreVoiceNote(mesText, media, index, messageId, vnMarkers) {
         mesText.append(playerHtml);
     }
 
-    const wrapper = mesText.find('.phone-vn-wrapper').last();
+    const wrapper = mesText.find(`.phone-vn-wrapper[data-phone-vn-slot="${index}"]`);
     if (wrapper.length) {
         const player = wrapper.find('.phone-vn-container');
         bindVoiceNotePlayer(player, messageId, index);
@@ -615,16 +3712,127 @@ function restoreVoiceNote(mesText, media, index, messageId, vnMarkers) {
     }
 }
 
+/**
+ * Build the phoneMedia entry for a [LOC] tag. The content is `place name | optional address`;
+ * an `eta` attribute replaces the made-up travel time.
+ * @param {import('./tags.js').ParsedTag} tag
+ * @returns {{ type: 'location', name: string, address: string, eta: string, id?: string }}
+ */
+function createLocationMedia(tag) {
+    const [name, ...address] = tag.content.split('|');
+    const media = {
+        type: 'location',
+        name: name.replace(/\s+/g, ' ').trim(),
+        address: address.join('|').replace(/\s+/g, ' ').trim(),
+    };
+    media.eta = tag.attributes.eta || estimateLocationEta(`${media.name}|${media.address}`);
+    if (tag.id) media.id = tag.id;
+    return media;
+}
+
+/**
+ * Make up a plausible travel time to a place. The same place always gets the same time.
+ * @param {string} seedText
+ * @returns {string} e.g. "8 min walk · 0.6 km"
+ */
+function estimateLocationEta(seedText) {
+    const random = seededRandom(getStringHash(`eta:${seedText}`));
+    // Squared so most places are nearby
+    const km = 0.2 + random() ** 2 * 12;
+    if (km < 1.5) return `${Math.max(1, Math.round(km / 5 * 60))} min walk \u00B7 ${km.toFixed(1)} km`;
+    return `${Math.round(km / 30 * 60) + 2} min drive \u00B7 ${km.toFixed(1)} km`;
+}
+
+/**
+ * Draw a stylized map tile for a place as inline SVG: a rotated street grid, a main road
+ * through the pin, a park and sometimes a shoreline. Drawn offline from the place's name,
+ * so a place looks the same every time.
+ * @param {string} seedText
+ * @returns {string}
+ */
+function buildLocationMap(seedText) {
+    const random = seededRandom(getStringHash(seedText || ''));
+    const w = LOC_MAP_WIDTH, h = LOC_MAP_HEIGHT;
+    const n = value => value.toFixed(1);
+    const shapes = [];
+
+    if (random() < 0.4) {
+        const y = h * (0.7 + random() * 0.15);
+        shapes.push(`<path class="phone-loc-water" d="M0 ${n(y)} Q${n(w / 2)} ${n(y + (random() - 0.5) * 40)} ${w} ${n(y + (random() - 0.5) * 20)} V${h} H0 Z"/>`);
+    }
+
+    const parkWidth = 40 + random() * 50, parkHeight = 25 + random() * 30;
+    shapes.push(`<rect class="phone-loc-park" x="${n(random() * (w - parkWidth))}" y="${n(random() * (h - parkHeight))}" width="${n(parkWidth)}" height="${n(parkHeight)}" rx="6"/>`);
+
+    // Drawn past the edges so the rotated grid still covers the tile
+    const streets = [];
+    for (let x = -w / 2 + random() * 30; x < w * 1.5; x += 26 + random() * 34) streets.push(`M${n(x)} ${-h} V${2 * h}`);
+    for (let y = -h / 2 + random() * 30; y < h * 1.5; y += 22 + random() * 28) streets.push(`M${-w} ${n(y)} H${2 * w}`);
+    shapes.push(`<path class="phone-loc-street" d="${streets.join(' ')}" transform="rotate(${n((random() - 0.5) * 40)} ${w / 2} ${h / 2})"/>`);
+    shapes.push(`<path class="phone-loc-road" d="M${-w} ${h / 2} H${2 * w}" transform="rotate(${n(random() * 180)} ${w / 2} ${h / 2})"/>`);
+
+    const pin = `<g class="phone-loc-pin" transform="translate(${w / 2} ${h / 2})">
+        <ellipse class="phone-loc-pin-shadow" rx="7" ry="2.5"/>
+        <path d="M0 0 C-3 -7 -10 -11 -10 -19 A10 10 0 1 1 10 -19 C10 -11 3 -7 0 0 Z"/>
+        <circle cy="-19" r="4"/>
+    </g>`;
+
+    return `<svg class="phone-loc-map" viewBox="0 0 ${w} ${h}" preserveAspectRatio="xMidYMid slice" aria-hidden="true">${shapes.join('')}${pin}</svg>`;
+}
+
+/**
+ * Build the location card HTML. Clicking it searches the place on OpenStreetMap.
+ * @param {object} media - { type: 'location', name, address, eta }
+ * @returns {string}
+ */
+function buildLocationCard(media) {
+    const escapedName = $('<span>').text(media.name).html();
+    const escapedAddress = $('<span>').text(media.address || '').html();
+    const escapedEta = $('<span>').text(media.eta || '').html();
+    const query = encodeURIComponent([media.name, media.address].filter(Boolean).join(', '));
+    return `<div class="phone-loc-wrapper">
+        <a class="phone-loc-card" href="https://www.openstreetmap.org/search?query=${query}" target="_blank" rel="noopener noreferrer" title="Open in OpenStreetMap">
+            ${buildLocationMap(`${media.name}|${media.address || ''}`)}
+            <div class="phone-loc-info">
+                <div class="phone-loc-name">${escapedName}</div>
+                ${escapedAddress ? `<div class="phone-loc-address">${escapedAddress}</div>` : ''}
+                <div class="phone-loc-eta">${escapedEta}</div>
+            </div>
+        </a>
+    </div>`;
+}
+
+/**
+ * Put a location card into its placeholder, or at the end of the message.
+ * @param {JQuery} mesText
+ * @param {object} media - { type: 'location', name, address, eta, id? }
+ * @param {number} index
+ * @param {JQuery|null} [placeholder] - Placeholder found before the tags were stripped
+ */
+function restoreLocation(mesText, media, index, placeholder = null) {
+    const target = placeholder?.[0]?.isConnected
+        ? placeholder
+        : findPlaceholder(mesText, 'data-phone-loc', index, getSettings().locPlaceholderGlyph, media.id);
+    if (target) {
+        target.replaceWith(buildLocationCard(media));
+    } else {
+        mesText.append(buildLocationCard(media));
+    }
+}
+
 /**
  * Wait for the TTS audio element to finish playback.
- * @returns {Promise<void>}
+ * `sources` collects every distinct src played, so callers can tell a single
+ * clip (cacheable) from TTS that was split into several chunks.
+ * @returns {{ started: Promise<void>, ended: Promise<void>, sources: string[] }}
  */
 function waitForTtsPlayback() {
     const audioEl = document.getElementById('tts_audio');
+    const sources = [];
 
     if (!audioEl) {
         const resolved = Promise.resolve();
-        return { started: resolved, ended: resolved };
+        return { started: resolved, ended: resolved, sources };
     }
 
     let resolveStarted, resolveEnded;
@@ -640,28 +3848,449 @@ function waitForTtsPlayback() {
         clearTimeout(timeout);
     };
 
-    const onPlay = () => {
-        hasStarted = true;
-        resolveStarted();
-    };
-    const onEnded = () => { cleanup(); resolveEnded(); };
-    const onError = () => { cleanup(); resolveStarted(); resolveEnded(); };
+    const onPlay = () => {
+        hasStarted = true;
+        const src = audioEl.currentSrc || audioEl.src;
+        if (src && !sources.includes(src)) sources.push(src);
+        resolveStarted();
+    };
+    const onEnded = () => { cleanup(); resolveEnded(); };
+    const onError = () => { cleanup(); resolveStarted(); resolveEnded(); };
+
+    audioEl.addEventListener('play', onPlay);
+    audioEl.addEventListener('ended', onEnded);
+    audioEl.addEventListener('error', onError);
+
+    // Safety timeout — if nothing plays in time, resolve anyway
+    const timeoutSeconds = getSettings().ttsTimeoutSeconds || DEFAULT_SETTINGS.ttsTimeoutSeconds;
+    const timeout = setTimeout(() => {
+        if (!hasStarted) { cleanup(); resolveStarted(); resolveEnded(); }
+    }, timeoutSeconds * 1000);
+
+    return { started, ended, sources };
+}
+
+/**
+ * Resolve the /speak voice for a voice note: the note's own voice (from the [VN voice="..."]
+ * attribute or the editor) or the message author, passed through the settings voice mapping.
+ * @param {object} media - The phoneMedia['vnN'] entry
+ * @param {object} message - The message the voice note belongs to
+ * @returns {string}
+ */
+function resolveVnVoice(media, message) {
+    const name = media?.voice || getMessageAuthor(message) || 'default';
+    return getSettings().voiceMap?.[name] || name;
+}
+
+/**
+ * List voice names to suggest in the VN editor: the TTS voice map keys and the settings mapping.
+ * @returns {string[]}
+ */
+function getKnownVoiceNames() {
+    const ttsSettings = extension_settings.tts;
+    const provider = ttsSettings?.currentProvider || '';
+    const names = new Set([
+        ...Object.keys(ttsSettings?.[provider]?.voiceMap || {}),
+        ...Object.keys(getSettings().voiceMap || {}),
+    ]);
+    return [...names].filter(Boolean).sort();
+}
+
+/**
+ * Identify the TTS voice a voice note would be rendered with: the active TTS provider
+ * plus the voice mapped to the given name. Changes when the voice map changes.
+ * @param {string} voice - The name passed to /speak
+ * @returns {string}
+ */
+function getTtsVoiceKey(voice) {
+    const ttsSettings = extension_settings.tts;
+    const provider = ttsSettings?.currentProvider || '';
+    const mappedVoice = ttsSettings?.[provider]?.voiceMap?.[voice] ?? '';
+    return `${provider}:${mappedVoice}`;
+}
+
+/**
+ * Map an audio MIME type to a file extension.
+ * @param {string} mimeType
+ * @returns {string}
+ */
+function getAudioExtension(mimeType) {
+    const subtype = mimeType.split('/')[1]?.split(';')[0] || '';
+    if (subtype === 'mpeg') return 'mp3';
+    if (subtype === 'x-wav' || subtype === 'wave') return 'wav';
+    return subtype || 'mp3';
+}
+
+/**
+ * Delete a file from the user files area. A file that is already gone counts as deleted.
+ * @param {string} url - Server-relative URL returned by uploadUserFile
+ * @returns {Promise<void>}
+ */
+async function deleteUserFile(url) {
+    const response = await fetch('/api/files/delete', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ path: url.replace(/^\//, '') }),
+    });
+    if (!response.ok && response.status !== 404) throw new Error(`File delete failed: ${response.status}`);
+}
+
+/**
+ * Drop the cached TTS audio of a voice note (and delete the file) so the next play re-synthesizes.
+ * Recorded voice notes are never invalidated — their audio is the recording itself.
+ * @param {object} media - The phoneMedia['vnN'] entry
+ */
+function invalidateVnAudioCache(media) {
+    if (!media?.audioUrl || media.source === 'recorded') return;
+
+    const staleUrl = media.audioUrl;
+    delete media.audioUrl;
+    delete media.renderedVoice;
+    delete media.voiceKey;
+    delete media.textHash;
+    delete media.duration;
+    delete media.peaks;
+
+    deleteUserFile(staleUrl).catch((error) => {
+        console.warn(`[${MODULE_NAME}] Could not delete stale voice note audio ${staleUrl}:`, error);
+    });
+}
+
+/**
+ * Upload synthesized TTS audio and record it on the voice note.
+ * @param {object} media - The phoneMedia['vnN'] entry
+ * @param {Blob} blob
+ * @param {{ voice: string, voiceKey: string, textHash: number, duration: number }} meta
+ * @returns {Promise<void>}
+ */
+async function cacheVnAudio(media, blob, { voice, voiceKey, textHash, duration }) {
+    const ext = getAudioExtension(blob.type || 'audio/mpeg');
+    const audioUrl = await uploadUserFile(await blobToBase64(blob), `phone-vn-tts-${Date.now()}.${ext}`);
+    // `voice` on the entry is the user's override; the voice actually rendered is kept separately
+    Object.assign(media, { audioUrl, renderedVoice: voice, voiceKey, textHash });
+    if (Number.isFinite(duration) && duration > 0) media.duration = duration;
+    await ensureVnPeaks(media, blob);
+}
+
+/**
+ * @typedef {object} VnPlayback
+ * @property {HTMLAudioElement} audio - #tts_audio or a file-backed Audio element
+ * @property {JQuery} player - The .phone-vn-container being driven
+ * @property {Promise<void>} ended
+ * @property {() => void} stop
+ */
+
+/** The voice note currently playing; only one plays at a time, like in a messenger */
+let activeVnPlayback = null;
+
+const VN_PLAYBACK_RATES = [1, 1.5, 2];
+
+/**
+ * Voice notes queued to play one after another (auto-play and "play all from here").
+ * @type {{ items: { messageId: number, vnIndex: number }[], cancelled: boolean }|null}
+ */
+let vnSequence = null;
+
+/**
+ * Find the rendered player for a voice note.
+ * @param {number} messageId
+ * @param {number} vnIndex
+ * @returns {JQuery|null}
+ */
+function findVnPlayer(messageId, vnIndex) {
+    const player = $(`#chat .mes[mesid="${messageId}"] .phone-vn-container[data-vn-index="${vnIndex}"]`);
+    return player.length ? player.first() : null;
+}
+
+/**
+ * List every voice note in the chat from a starting point onwards, in reading order.
+ * @param {number} fromMessageId
+ * @param {number} fromVnIndex
+ * @returns {{ messageId: number, vnIndex: number }[]}
+ */
+function collectVoiceNotesFrom(fromMessageId, fromVnIndex) {
+    const items = [];
+    for (let messageId = fromMessageId; messageId < chat.length; messageId++) {
+        const phoneMedia = chat[messageId]?.extra?.phoneMedia;
+        if (!phoneMedia) continue;
+
+        const vnIndices = Object.entries(phoneMedia)
+            .filter(([, media]) => media.type === 'voice_note')
+            .map(([key]) => parseInt(key.replace('vn', ''), 10))
+            .sort((a, b) => a - b);
+
+        for (const vnIndex of vnIndices) {
+            if (messageId === fromMessageId && vnIndex < fromVnIndex) continue;
+            items.push({ messageId, vnIndex });
+        }
+    }
+    return items;
+}
+
+/**
+ * Play voice notes one after another. Each note waits for the previous one's playback
+ * to end (TTS `started`/`ended`, or the audio file). With `append`, notes join a sequence
+ * that is already playing instead of replacing it.
+ * @param {{ messageId: number, vnIndex: number }[]} items
+ * @param {boolean} [append]
+ */
+function playVnSequence(items, append = false) {
+    if (append && vnSequence) {
+        vnSequence.items.push(...items);
+        return;
+    }
+
+    stopVnSequence();
+    const sequence = { items: [...items], cancelled: false };
+    vnSequence = sequence;
+    runVnSequence(sequence);
+}
+
+/**
+ * Work through a voice note sequence until it is empty or cancelled.
+ * @param {{ items: { messageId: number, vnIndex: number }[], cancelled: boolean }} sequence
+ * @returns {Promise<void>}
+ */
+async function runVnSequence(sequence) {
+    while (!sequence.cancelled && sequence.items.length) {
+        const { messageId, vnIndex } = sequence.items.shift();
+        const player = findVnPlayer(messageId, vnIndex);
+        if (!player) continue;
+
+        player[0].scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+        await startVnPlayback(player, messageId, vnIndex);
+    }
+    if (vnSequence === sequence) vnSequence = null;
+}
+
+/**
+ * Cancel the running voice note sequence. The note currently playing is left to the caller.
+ */
+function stopVnSequence() {
+    if (!vnSequence) return;
+    vnSequence.cancelled = true;
+    vnSequence = null;
+}
+
+/**
+ * Play an audio file (e.g. a recorded or cached voice note) and report start and end like waitForTtsPlayback.
+ * @param {string} url
+ * @returns {{ audio: HTMLAudioElement, started: Promise<void>, ended: Promise<void> }}
+ */
+function playAudioFile(url) {
+    const audio = new Audio(url);
+    audio.playbackRate = getSettings().vnPlaybackRate || 1;
+    let resolveStarted, resolveEnded;
+    const started = new Promise((r) => { resolveStarted = r; });
+    const ended = new Promise((r) => { resolveEnded = r; });
+
+    const finish = () => { resolveStarted(); resolveEnded(); };
+    audio.addEventListener('playing', () => resolveStarted(), { once: true });
+    audio.addEventListener('ended', finish, { once: true });
+    audio.addEventListener('error', finish, { once: true });
+    audio.play().catch((error) => {
+        console.error(`[${MODULE_NAME}] Audio playback failed:`, error);
+        finish();
+    });
+
+    return { audio, started, ended };
+}
+
+/**
+ * Get the total duration label for an idle voice note player.
+ * @param {object} media - The phoneMedia['vnN'] entry
+ * @returns {string}
+ */
+function getVnIdleDurationLabel(media) {
+    return formatDuration(media?.duration ? Math.round(media.duration) : estimateTtsDuration(media?.text || ''));
+}
+
+/**
+ * Update progress fill and elapsed/total time of a player from its audio element.
+ * @param {JQuery} player
+ * @param {HTMLAudioElement} audio
+ */
+function updateVnProgress(player, audio) {
+    const duration = audio.duration;
+    const hasDuration = Number.isFinite(duration) && duration > 0;
+    const fraction = hasDuration ? Math.min(1, audio.currentTime / duration) : 0;
+
+    const bars = player.find('.phone-vn-bar');
+    const playedCount = Math.round(fraction * bars.length);
+    bars.each(function (i) {
+        $(this).toggleClass('played', i < playedCount);
+    });
+
+    const elapsed = formatDuration(Math.floor(audio.currentTime));
+    player.find('.phone-vn-duration').text(hasDuration ? `${elapsed} / ${formatDuration(Math.round(duration))}` : elapsed);
+}
+
+/**
+ * Return a player to its idle state.
+ * @param {JQuery} player
+ * @param {object} media - The phoneMedia['vnN'] entry
+ */
+function resetVnPlayer(player, media) {
+    player.find('.phone-vn-play-btn').removeClass('playing loading paused').html('&#9654;');
+    player.find('.phone-vn-waveform').removeClass('playing');
+    player.find('.phone-vn-bar').removeClass('played');
+    player.find('.phone-vn-duration').text(getVnIdleDurationLabel(media));
+}
+
+/**
+ * Drive a player's UI from an audio element until playback ends.
+ * @param {JQuery} player
+ * @param {HTMLAudioElement} audio
+ * @param {Promise<void>} ended
+ * @returns {VnPlayback}
+ */
+function attachVnPlayback(player, audio, ended) {
+    const playBtn = player.find('.phone-vn-play-btn');
+    const waveform = player.find('.phone-vn-waveform');
+    let resolveStopped;
+    const stopped = new Promise((r) => { resolveStopped = r; });
+
+    const onTimeUpdate = () => updateVnProgress(player, audio);
+    const onPlay = () => {
+        playBtn.removeClass('loading paused').addClass('playing').html('&#9646;&#9646;').attr('title', 'Pause');
+        waveform.addClass('playing');
+    };
+    const onPause = () => {
+        if (audio.ended) return;
+        playBtn.removeClass('playing').addClass('paused').html('&#9654;').attr('title', 'Resume');
+        waveform.removeClass('playing');
+    };
+
+    audio.addEventListener('timeupdate', onTimeUpdate);
+    audio.addEventListener('durationchange', onTimeUpdate);
+    audio.addEventListener('play', onPlay);
+    audio.addEventListener('pause', onPause);
+    audio.playbackRate = getSettings().vnPlaybackRate || 1;
+
+    const playback = {
+        audio,
+        player,
+        ended: Promise.race([ended, stopped]).then(() => {
+            audio.removeEventListener('timeupdate', onTimeUpdate);
+            audio.removeEventListener('durationchange', onTimeUpdate);
+            audio.removeEventListener('play', onPlay);
+            audio.removeEventListener('pause', onPause);
+            playBtn.attr('title', 'Play voice note');
+            if (activeVnPlayback === playback) activeVnPlayback = null;
+        }),
+        stop: () => {
+            if (activeVnPlayback === playback) activeVnPlayback = null;
+            audio.pause();
+            // The TTS extension waits for 'ended' before playing its next job
+            if (audio.id === 'tts_audio') audio.dispatchEvent(new Event('ended'));
+            resolveStopped();
+        },
+    };
+
+    onPlay();
+    onTimeUpdate();
+    activeVnPlayback = playback;
+    return playback;
+}
+
+/**
+ * Start playing a voice note: recorded or cached audio streams from its file, anything
+ * else is synthesized with /speak and (optionally) cached.
+ * @param {JQuery} player
+ * @param {number} messageId
+ * @param {number} vnIndex
+ * @returns {Promise<void>} Resolves when playback ends or is stopped
+ */
+async function startVnPlayback(player, messageId, vnIndex) {
+    const playBtn = player.find('.phone-vn-play-btn');
+    const message = chat[messageId];
+    const media = message?.extra?.phoneMedia?.[`vn${vnIndex}`];
+
+    activeVnPlayback?.stop();
+    playBtn.addClass('loading').empty();
+
+    // A newer start on the same player (e.g. Save & Play) owns the UI from here on
+    const token = Symbol('vn-playback');
+    player.data('vnPlaybackToken', token);
 
-    audioEl.addEventListener('play', onPlay);
-    audioEl.addEventListener('ended', onEnded);
-    audioEl.addEventListener('error', onError);
+    try {
+        // Recorded voice notes play their audio file instead of TTS
+        if (media?.audioUrl && media.source === 'recorded') {
+            const { audio, started, ended } = playAudioFile(media.audioUrl);
+            await started;
+            await attachVnPlayback(player, audio, ended).ended;
+            if (await ensureVnPeaks(media) && chat[messageId] === message) await saveChatConditional();
+            return;
+        }
 
-    // Safety timeout — if nothing plays within 15s, resolve anyway
-    const timeout = setTimeout(() => {
-        if (!hasStarted) { cleanup(); resolveStarted(); resolveEnded(); }
-    }, 15000);
+        const vnText = media?.text;
+        if (!vnText) {
+            console.warn(`[${MODULE_NAME}] No voice note text found for vn${vnIndex}`);
+            return;
+        }
+        const voice = resolveVnVoice(media, message);
+        const ttsText = cleanVnTextForTts(vnText);
+        if (!ttsText) {
+            console.warn(`[${MODULE_NAME}] Voice note text empty after cleaning`);
+            return;
+        }
 
-    return { started, ended };
+        // Stream the cached render if it matches the current text and voice
+        const textHash = getStringHash(ttsText);
+        const voiceKey = getTtsVoiceKey(voice);
+        if (media.audioUrl && media.textHash === textHash && media.voiceKey === voiceKey) {
+            const { audio, started, ended } = playAudioFile(media.audioUrl);
+            await started;
+            await attachVnPlayback(player, audio, ended).ended;
+
+            // Renders cached before durations/peaks were tracked learn them on first play
+            const learnedDuration = !media.duration && Number.isFinite(audio.duration);
+            if (learnedDuration) media.duration = audio.duration;
+            const learnedPeaks = await ensureVnPeaks(media);
+            if ((learnedDuration || learnedPeaks) && chat[messageId] === message) await saveChatConditional();
+            return;
+        }
+        invalidateVnAudioCache(media);
+
+        const { started, ended, sources } = waitForTtsPlayback();
+        await executeSlashCommandsWithOptions(
+            `/speak voice="${voice.replace(/"/g, '')}" ${sanitizeForSlashCommand(ttsText)}`,
+            { handleParserErrors: true, handleExecutionErrors: true },
+        );
+        await started;
+
+        const audioEl = document.getElementById('tts_audio');
+        if (!audioEl || !sources.length) return;
+
+        // Grab the audio while it is playing; TTS may revoke its blob URL afterwards
+        const capture = getSettings().cacheTtsAudio && sources.length === 1
+            ? fetch(sources[0]).then(r => (r.ok ? r.blob() : null)).catch(() => null)
+            : null;
+
+        await attachVnPlayback(player, audioEl, ended).ended;
+
+        // Only a fully played single-clip render can be cached; chunked TTS plays several sources
+        const duration = audioEl.duration;
+        const blob = await capture;
+        if (blob && sources.length === 1 && chat[messageId] === message) {
+            await cacheVnAudio(media, blob, { voice, voiceKey, textHash, duration });
+            await saveChatConditional();
+            console.log(`[${MODULE_NAME}] Cached TTS audio for vn${vnIndex} in message ${messageId}: ${media.audioUrl}`);
+        }
+    } catch (error) {
+        console.error(`[${MODULE_NAME}] Voice note playback failed:`, error);
+    } finally {
+        if (player.data('vnPlaybackToken') === token) {
+            if (media) renderVnWaveform(player, media);
+            resetVnPlayer(player, media);
+        }
+    }
 }
 
 /**
- * Bind click-to-play handler on a voice note player element.
- * Reads current text from phoneMedia so edits are reflected without re-binding.
+ * Bind playback controls on a voice note player element: play/pause, click-to-seek on
+ * the waveform and playback speed. Reads current text from phoneMedia so edits are
+ * reflected without re-binding.
  * @param {JQuery} player
  * @param {number} messageId
  * @param {number} vnIndex
@@ -669,61 +4298,54 @@ function waitForTtsPlayback() {
 function bindVoiceNotePlayer(player, messageId, vnIndex) {
     const playBtn = player.find('.phone-vn-play-btn');
     const waveform = player.find('.phone-vn-waveform');
+    const speedBtn = player.find('.phone-vn-speed-btn');
+    const playAllBtn = player.find('.phone-vn-play-all-btn');
+    const getPlayback = () => (activeVnPlayback?.player[0] === player[0] ? activeVnPlayback : null);
+
+    player.attr('data-vn-index', vnIndex);
 
     playBtn.off('click').on('click', async function () {
-        if (playBtn.hasClass('playing') || playBtn.hasClass('loading')) return;
+        // Any manual play/pause ends auto-play and "play all"
+        stopVnSequence();
+        if (playBtn.hasClass('loading')) return;
+
+        const playback = getPlayback();
+        if (playback) {
+            if (playback.audio.paused) {
+                playback.audio.play().catch(error => console.error(`[${MODULE_NAME}] Resume failed:`, error));
+            } else {
+                playback.audio.pause();
+            }
+            return;
+        }
 
-        playBtn.addClass('loading').empty();
+        await startVnPlayback(player, messageId, vnIndex);
+    });
 
-        try {
-            const message = chat[messageId];
-            const vnText = message?.extra?.phoneMedia?.[`vn${vnIndex}`]?.text;
-            if (!vnText) {
-                console.warn(`[${MODULE_NAME}] No voice note text found for vn${vnIndex}`);
-                return;
-            }
-            const voice = name2 || 'default';
-            const ttsText = cleanVnTextForTts(vnText);
-            if (!ttsText) {
-                console.warn(`[${MODULE_NAME}] Voice note text empty after cleaning`);
-                return;
-            }
-            const { started, ended } = waitForTtsPlayback();
-            await executeSlashCommandsWithOptions(
-                `/speak voice="${voice.replace(/"/g, '')}" ${sanitizeForSlashCommand(ttsText)}`,
-                { handleParserErrors: true, handleExecutionErrors: true },
-            );
-            await started;
+    waveform.off('click').on('click', function (e) {
+        const playback = getPlayback();
+        const duration = playback?.audio.duration;
+        if (!playback || !Number.isFinite(duration) || duration <= 0) return;
 
-            playBtn.removeClass('loading').addClass('playing').html('&#9646;&#9646;');
-            waveform.addClass('playing');
+        const rect = this.getBoundingClientRect();
+        const fraction = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+        playback.audio.currentTime = fraction * duration;
+        updateVnProgress(player, playback.audio);
+    });
 
-            await ended;
-        } catch (error) {
-            console.error(`[${MODULE_NAME}] Voice note playback failed:`, error);
-        } finally {
-            playBtn.removeClass('playing loading').html('&#9654;');
-            waveform.removeClass('playing');
-        }
+    playAllBtn.off('click').on('click', function () {
+        playVnSequence(collectVoiceNotesFrom(messageId, vnIndex));
     });
-}
 
-/**
- * Replace the content of the Nth [VN]...[/VN] tag in message text.
- * @param {string} mes - The message text
- * @param {number} index - Which VN tag to replace (0-based)
- * @param {string} newText - The new content
- * @returns {string}
- */
-function replaceNthVnTag(mes, index, newText) {
-    let count = 0;
-    // Use a fresh regex to avoid lastIndex issues with the global VN_TAG_REGEX
-    const regex = /\[VN\]\s*([\s\S]*?)\s*\[\/VN\]/gi;
-    return mes.replace(regex, (match, content) => {
-        if (count++ === index) {
-            return `[VN]${newText}[/VN]`;
-        }
-        return match;
+    speedBtn.off('click').on('click', function () {
+        const settings = getSettings();
+        const current = VN_PLAYBACK_RATES.indexOf(settings.vnPlaybackRate);
+        settings.vnPlaybackRate = VN_PLAYBACK_RATES[(current + 1) % VN_PLAYBACK_RATES.length];
+        saveSettingsDebounced();
+
+        // The speed is shared by all players
+        $('.phone-vn-speed-btn').text(`${settings.vnPlaybackRate}x`);
+        if (activeVnPlayback) activeVnPlayback.audio.playbackRate = settings.vnPlaybackRate;
     });
 }
 
@@ -737,17 +4359,26 @@ function bindVnEditHandler(wrapper, messageId, vnIndex) {
     const editBtn = wrapper.find('.phone-vn-edit-btn');
     const editor = wrapper.find('.phone-vn-editor');
     const textarea = wrapper.find('.phone-vn-editor-textarea');
+    const voiceInput = wrapper.find('.phone-vn-voice-input');
+    const voiceOptions = wrapper.find('.phone-vn-voice-options');
     const saveBtn = wrapper.find('.phone-vn-save-btn');
     const savePlayBtn = wrapper.find('.phone-vn-save-play-btn');
 
+    // The datalist needs a document-unique id for the input's list attribute
+    const voiceListId = `phone_vn_voices_${messageId}_${vnIndex}`;
+    voiceOptions.attr('id', voiceListId);
+    voiceInput.attr('list', voiceListId);
+
     editBtn.off('click').on('click', function () {
         if (editor.is(':visible')) {
             editor.hide();
         } else {
-            // Refresh textarea with current text from phoneMedia
+            // Refresh textarea and voice with current values from phoneMedia
             const message = chat[messageId];
-            const currentText = message?.extra?.phoneMedia?.[`vn${vnIndex}`]?.text || '';
-            textarea.val(currentText);
+            const media = message?.extra?.phoneMedia?.[`vn${vnIndex}`];
+            textarea.val(media?.text || '');
+            voiceInput.val(media?.voice || '');
+            voiceOptions.empty().append(getKnownVoiceNames().map(name => $('<option>').attr('value', name)));
             editor.show();
         }
     });
@@ -759,16 +4390,29 @@ function bindVnEditHandler(wrapper, messageId, vnIndex) {
         const message = chat[messageId];
         if (!message) return;
 
-        // Update phoneMedia
-        if (message.extra?.phoneMedia?.[`vn${vnIndex}`]) {
-            message.extra.phoneMedia[`vn${vnIndex}`].text = newText;
+        // Update phoneMedia (new text means the cached TTS render is stale; a new
+        // voice is caught by the voice key check on the next play)
+        const media = message.extra?.phoneMedia?.[`vn${vnIndex}`];
+        if (media) {
+            if (media.text !== newText) invalidateVnAudioCache(media);
+            media.text = newText;
+
+            const newVoice = String(voiceInput.val()).trim();
+            if (newVoice) {
+                media.voice = newVoice;
+            } else {
+                delete media.voice;
+            }
         }
 
         // Update [VN] tag in message.mes
-        message.mes = replaceNthVnTag(message.mes, vnIndex, newText);
+        message.mes = replaceTagContent(message.mes, 'VN', vnIndex, newText);
 
         editor.hide();
-        wrapper.find('.phone-vn-duration').text(formatDuration(estimateTtsDuration(newText)));
+        if (!media?.duration) {
+            wrapper.find('.phone-vn-duration').text(formatDuration(estimateTtsDuration(newText)));
+        }
+        if (media) renderVnWaveform(wrapper, media);
         await saveChatConditional();
         console.log(`[${MODULE_NAME}] Updated VN text for vn${vnIndex} in message ${messageId}`);
     }
@@ -780,7 +4424,8 @@ function bindVnEditHandler(wrapper, messageId, vnIndex) {
     savePlayBtn.off('click').on('click', async function () {
         await saveVnText();
 
-        // Trigger playback with the new text
+        // Trigger playback with the new text (stop first so the click starts instead of pausing)
+        activeVnPlayback?.stop();
         const playBtn = wrapper.find('.phone-vn-play-btn');
         playBtn.trigger('click');
     });
@@ -798,14 +4443,56 @@ function bindImageEditHandler(wrapper, messageId, imgIndex) {
     const textarea = wrapper.find('.phone-img-editor-textarea');
     const saveBtn = wrapper.find('.phone-img-save-btn');
     const saveGenBtn = wrapper.find('.phone-img-save-gen-btn');
+    const keepBtn = wrapper.find('.phone-img-keep-btn');
+    const refBtn = wrapper.find('.phone-img-ref-btn');
+    const preview = wrapper.find('.phone-img-editor-preview');
+    const ratioSelect = wrapper.find('.phone-img-ratio-select');
+    const seedInput = wrapper.find('.phone-img-seed-input');
+    const seedReuseBtn = wrapper.find('.phone-img-seed-reuse-btn');
+
+    // The ratio is stored on the slot; the seed only applies to the variant generated now
+    const applyEditorRatio = (media) => {
+        const ratio = String(ratioSelect.val());
+        if (ratio) media.ratio = ratio; else delete media.ratio;
+    };
+    const getEditorSeed = () => {
+        const seed = Number.parseInt(String(seedInput.val()), 10);
+        return Number.isInteger(seed) && seed >= 0 ? seed : undefined;
+    };
+
+    seedReuseBtn.off('click').on('click', function () {
+        const media = chat[messageId]?.extra?.phoneMedia?.[imgIndex];
+        const seed = media?.variants?.[media.activeIndex ?? 0]?.seed;
+        if (Number.isInteger(seed)) seedInput.val(seed);
+    });
+
+    // Show what would be sent once the prompt templates are applied
+    const updatePreview = () => {
+        const raw = String(textarea.val()).trim();
+        const composed = composeImagePrompt(raw, chat[messageId]);
+        preview.empty();
+        if (raw && composed.prompt !== raw) preview.append($('<div>').text(`Sent as: ${composed.prompt}`));
+        if (raw && composed.negative) preview.append($('<div>').text(`Negative: ${composed.negative}`));
+        preview.toggle(!preview.is(':empty'));
+    };
+    textarea.off('input.preview').on('input.preview', updatePreview);
 
     editBtn.off('click').on('click', function () {
         if (editor.is(':visible')) {
             editor.hide();
         } else {
             const message = chat[messageId];
-            const currentPrompt = message?.extra?.phoneMedia?.[imgIndex]?.prompt || '';
-            textarea.val(currentPrompt);
+            const media = message?.extra?.phoneMedia?.[imgIndex];
+            textarea.val(media?.prompt || '');
+            updatePreview();
+
+            // A ratio from a tag may not be one of the presets
+            if (media?.ratio && !ratioSelect.find(`option[value="${media.ratio}"]`).length) {
+                ratioSelect.append($('<option>').val(media.ratio).text(media.ratio));
+            }
+            ratioSelect.val(media?.ratio || '');
+            seedInput.val('');
+            seedReuseBtn.prop('disabled', !Number.isInteger(media?.variants?.[media.activeIndex ?? 0]?.seed));
             editor.show();
         }
     });
@@ -818,11 +4505,29 @@ function bindImageEditHandler(wrapper, messageId, imgIndex) {
         if (!message?.extra?.phoneMedia?.[imgIndex]) return;
 
         message.extra.phoneMedia[imgIndex].prompt = newPrompt;
+        applyEditorRatio(message.extra.phoneMedia[imgIndex]);
         editor.hide();
         await saveChatConditional();
         console.log(`[${MODULE_NAME}] Updated prompt for image #${imgIndex} in message ${messageId}`);
     });
 
+    keepBtn.off('click').on('click', async function () {
+        const media = chat[messageId]?.extra?.phoneMedia?.[imgIndex];
+        const others = getImageUrls(media).length - 1;
+        if (others < 1) return;
+        if (!await callGenericPopup(`Delete the ${others} other variant(s) of this image? Their files are removed too.`, POPUP_TYPE.CONFIRM)) return;
+
+        await keepOnlyActiveVariant(messageId, imgIndex);
+        editor.hide();
+        syncCarousel(wrapper, media);
+    });
+
+    refBtn.off('click').on('click', function () {
+        const media = chat[messageId]?.extra?.phoneMedia?.[imgIndex];
+        setReferenceImage(messageId, getImageUrls(media)[media?.activeIndex ?? 0]);
+        editor.hide();
+    });
+
     saveGenBtn.off('click').on('click', async function () {
         const newPrompt = textarea.val().trim();
         if (!newPrompt) return;
@@ -832,41 +4537,36 @@ function bindImageEditHandler(wrapper, messageId, imgIndex) {
         if (!media) return;
 
         media.prompt = newPrompt;
+        applyEditorRatio(media);
+        const seed = getEditorSeed();
         editor.hide();
 
         const container = wrapper.find('.phone-img-container');
         const img = container.find('.phone-img');
-        const leftBtn = container.find('.phone-img-nav-left');
         const rightBtn = container.find('.phone-img-nav-right');
-        const counter = container.find('.phone-img-counter');
 
+        const job = enqueueMessageImageJob(newPrompt, message, null, getVariantShape(media, seed));
         img.addClass('fading');
         const spinner = $('<div class="phone-img-overlay-spinner"></div>');
-        container.append(spinner);
+        const cancelBtn = $('<button class="phone-img-overlay-cancel" title="Cancel">&#10005;</button>').on('click', () => job.cancel());
+        container.append(spinner, cancelBtn);
         editBtn.prop('disabled', true);
         rightBtn.prop('disabled', true);
 
         try {
-            const result = await executeSlashCommandsWithOptions(
-                `/imagine quiet=true gallery=false ${sanitizeForSlashCommand(newPrompt)}`,
-                { handleParserErrors: true, handleExecutionErrors: true },
-            );
-
-            const newUrl = result?.pipe;
+            const newUrl = await job.promise;
             if (newUrl) {
-                media.urls.push(newUrl);
-                media.activeIndex = media.urls.length - 1;
-                img.attr('src', newUrl);
-                counter.text(`${media.activeIndex + 1}/${media.urls.length}`).show();
-                leftBtn.show();
+                addImageVariant(media, newUrl, job);
+                syncCarousel(wrapper, media);
                 await saveChatConditional();
                 console.log(`[${MODULE_NAME}] Generated new image with updated prompt for #${imgIndex} in message ${messageId}`);
             }
         } catch (error) {
-            console.error(`[${MODULE_NAME}] Image generation failed:`, error);
+            if (job.status !== 'cancelled') console.error(`[${MODULE_NAME}] Image generation failed:`, error);
         } finally {
             img.removeClass('fading');
             spinner.remove();
+            cancelBtn.remove();
             editBtn.prop('disabled', false);
             rightBtn.prop('disabled', false);
         }
@@ -875,17 +4575,19 @@ function bindImageEditHandler(wrapper, messageId, imgIndex) {
 
 /**
  * Bind carousel navigation handlers on all image containers within a message.
+ * Each wrapper is bound to the `phoneMedia` slot named by its `data-phone-img-slot`, since
+ * id-linked placeholders and appended fallbacks don't follow slot order.
  * @param {JQuery} mesText
  * @param {number} messageId
  */
 function bindCarouselHandlers(mesText, messageId) {
-    mesText.find('.phone-img-wrapper').each(function (i) {
+    mesText.find('.phone-img-wrapper[data-phone-img-slot]').each(function () {
         const wrapper = $(this);
+        const i = Number(wrapper.attr('data-phone-img-slot'));
         const container = wrapper.find('.phone-img-container');
         const img = container.find('.phone-img');
         const leftBtn = container.find('.phone-img-nav-left');
         const rightBtn = container.find('.phone-img-nav-right');
-        const counter = container.find('.phone-img-counter');
         const galleryBtn = container.find('.phone-img-gallery-btn');
 
         bindImageEditHandler(wrapper, messageId, i);
@@ -894,30 +4596,19 @@ function bindCarouselHandlers(mesText, messageId) {
         galleryBtn.off('click').on('click', async function () {
             if (galleryBtn.hasClass('saved') || galleryBtn.hasClass('saving')) return;
 
-            const message = chat[messageId];
-            const media = message?.extra?.phoneMedia?.[i];
+            const media = chat[messageId]?.extra?.phoneMedia?.[i];
             if (!media) return;
 
-            const currentUrl = img.attr('src');
             galleryBtn.addClass('saving').empty();
 
             try {
-                await saveImageToGallery(currentUrl);
-
-                if (!media.savedToGallery) media.savedToGallery = [];
-                const idx = media.activeIndex ?? 0;
-                if (!media.savedToGallery.includes(idx)) {
-                    media.savedToGallery.push(idx);
-                }
+                await saveImageVariantToGallery(messageId, i, media.activeIndex ?? 0);
 
                 // Flash checkmark bright, then settle into dimmed saved state
                 galleryBtn.removeClass('saving').html('&#10003;').css('color', '#25d366');
                 setTimeout(() => {
                     galleryBtn.addClass('saved').attr('title', 'Saved to gallery');
                 }, 1500);
-
-                await saveChatConditional();
-                console.log(`[${MODULE_NAME}] Saved image #${i} variant ${media.activeIndex} to gallery for message ${messageId}`);
             } catch (error) {
                 console.error(`[${MODULE_NAME}] Gallery save failed:`, error);
                 galleryBtn.removeClass('saving').addClass('error').html('&#8615;');
@@ -925,9 +4616,18 @@ function bindCarouselHandlers(mesText, messageId) {
             }
         });
 
-        // Click image to open lightbox
+        // Delete the displayed variant (hidden while it's the only one)
+        container.find('.phone-img-delete-btn').off('click').on('click', async function () {
+            const media = chat[messageId]?.extra?.phoneMedia?.[i];
+            if (getImageUrls(media).length < 2) return;
+            if (!await callGenericPopup('Delete this image variant? The file is removed too.', POPUP_TYPE.CONFIRM)) return;
+
+            if (await deleteImageVariant(messageId, i, media.activeIndex ?? 0)) syncCarousel(wrapper, media);
+        });
+
+        // Click image to open lightbox at this image's current variant
         img.off('click.lightbox').on('click.lightbox', function () {
-            openLightbox($(this).attr('src'));
+            openLightbox(messageId, i);
         });
 
         leftBtn.off('click').on('click', function () {
@@ -945,16 +4645,7 @@ function bindCarouselHandlers(mesText, messageId) {
             if (media.activeIndex <= 0) return;
 
             media.activeIndex--;
-            img.attr('src', media.urls[media.activeIndex]);
-            counter.text(`${media.activeIndex + 1}/${media.urls.length}`);
-            leftBtn.toggle(media.activeIndex > 0);
-
-            // Sync gallery save button state
-            const isSaved = (media.savedToGallery || []).includes(media.activeIndex);
-            galleryBtn.toggleClass('saved', isSaved)
-                .html(isSaved ? '&#10003;' : '&#8615;')
-                .attr('title', isSaved ? 'Saved to gallery' : 'Save to gallery')
-                .css('color', '');
+            syncCarousel(wrapper, media);
         });
 
         rightBtn.off('click').on('click', async function () {
@@ -974,50 +4665,36 @@ function bindCarouselHandlers(mesText, messageId) {
             if (!isLast) {
                 // Navigate to next existing image
                 media.activeIndex++;
-                img.attr('src', media.urls[media.activeIndex]);
-                counter.text(`${media.activeIndex + 1}/${media.urls.length}`).show();
-                leftBtn.show();
-
-                // Sync gallery save button state
-                const isSaved = (media.savedToGallery || []).includes(media.activeIndex);
-                galleryBtn.toggleClass('saved', isSaved)
-                    .html(isSaved ? '&#10003;' : '&#8615;')
-                    .attr('title', isSaved ? 'Saved to gallery' : 'Save to gallery')
-                    .css('color', '');
+                syncCarousel(wrapper, media);
                 return;
             }
 
+            // Outgoing photos have no tag to regenerate from (the arrow is hidden on their last variant)
+            if (wrapper.hasClass('phone-img-outgoing')) return;
+
             // Generate a new image variant
+            const job = enqueueMessageImageJob(media.prompt, message, null, getVariantShape(media));
             img.addClass('fading');
             const spinner = $('<div class="phone-img-overlay-spinner"></div>');
-            container.append(spinner);
+            const cancelBtn = $('<button class="phone-img-overlay-cancel" title="Cancel">&#10005;</button>').on('click', () => job.cancel());
+            container.append(spinner, cancelBtn);
             rightBtn.prop('disabled', true);
 
             try {
-                const result = await executeSlashCommandsWithOptions(
-                    `/imagine quiet=true gallery=false ${sanitizeForSlashCommand(media.prompt)}`,
-                    { handleParserErrors: true, handleExecutionErrors: true },
-                );
-
-                const newUrl = result?.pipe;
+                const newUrl = await job.promise;
                 if (newUrl) {
-                    media.urls.push(newUrl);
-                    media.activeIndex = media.urls.length - 1;
-                    img.attr('src', newUrl);
-                    counter.text(`${media.activeIndex + 1}/${media.urls.length}`).show();
-                    leftBtn.show();
-
-                    // New variant starts unsaved
-                    galleryBtn.removeClass('saved').html('&#8615;').attr('title', 'Save to gallery').css('color', '');
+                    addImageVariant(media, newUrl, job);
+                    syncCarousel(wrapper, media);
 
                     await saveChatConditional();
                     console.log(`[${MODULE_NAME}] Generated variant #${media.activeIndex} for image #${i} in message ${messageId}`);
                 }
             } catch (error) {
-                console.error(`[${MODULE_NAME}] Image generation failed:`, error);
+                if (job.status !== 'cancelled') console.error(`[${MODULE_NAME}] Image generation failed:`, error);
             } finally {
                 img.removeClass('fading');
                 spinner.remove();
+                cancelBtn.remove();
                 rightBtn.prop('disabled', false);
             }
         });
@@ -1025,31 +4702,603 @@ function bindCarouselHandlers(mesText, messageId) {
 }
 
 /**
- * Reprocess all character messages to restore images and voice notes.
+ * Media attached in the composer, consumed by the user message its send produces:
+ * `{ media, stagedAt }`, where media maps phoneMedia keys to entries
+ */
+let pendingOutgoingMedia = null;
+
+/** How long staged media waits for its message; SillyTavern may ignore the send (e.g. mid-generation) */
+const OUTGOING_MEDIA_TIMEOUT_MS = 10000;
+
+/** Photo composer singleton (uses <dialog> like the lightbox) */
+let photoComposerEl = null;
+
+/**
+ * Get or create the "send a photo" composer dialog.
+ * The user either picks a local file or generates one from a prompt, then adds
+ * a description that is passed to the character in the prompt.
+ * @returns {HTMLDialogElement}
+ */
+function getPhotoComposer() {
+    if (photoComposerEl) return photoComposerEl;
+
+    photoComposerEl = document.createElement('dialog');
+    photoComposerEl.className = 'phone-composer';
+    photoComposerEl.innerHTML = `
+        <div class="phone-composer-title">Send a photo</div>
+        <div class="phone-composer-tabs">
+            <button class="phone-composer-tab active" data-source="upload">Upload</button>
+            <button class="phone-composer-tab" data-source="generated">Generate</button>
+        </div>
+        <div class="phone-composer-source" data-source="upload">
+            <input class="phone-composer-file" type="file" accept="image/*" />
+        </div>
+        <div class="phone-composer-source" data-source="generated" style="display:none;">
+            <textarea class="phone-img-editor-textarea phone-composer-prompt" placeholder="Describe the photo to generate"></textarea>
+            <div class="phone-img-editor-actions">
+                <button class="phone-composer-generate-btn">Generate</button>
+            </div>
+        </div>
+        <div class="phone-composer-preview"></div>
+        <textarea class="phone-img-editor-textarea phone-composer-description" placeholder="What's in the photo? (the character sees this)"></textarea>
+        <div class="phone-img-editor-actions">
+            <button class="phone-composer-cancel-btn">Cancel</button>
+            <button class="phone-img-save-gen-btn phone-composer-send-btn" disabled>Attach</button>
+        </div>`;
+    document.body.appendChild(photoComposerEl);
+
+    const dialog = $(photoComposerEl);
+    const preview = dialog.find('.phone-composer-preview');
+    const sendBtn = dialog.find('.phone-composer-send-btn');
+    const promptInput = dialog.find('.phone-composer-prompt');
+    const descriptionInput = dialog.find('.phone-composer-description');
+
+    // Current attachment: { url, source, prompt }
+    let draft = null;
+
+    const setDraft = (next) => {
+        draft = next;
+        preview.empty();
+        if (draft) preview.append($('<img class="phone-img">').attr('src', draft.url));
+        sendBtn.prop('disabled', !draft);
+    };
+
+    dialog.on('phone-composer:reset', () => {
+        setDraft(null);
+        dialog.find('.phone-composer-file').val('');
+        promptInput.val('');
+        descriptionInput.val('');
+    });
+
+    dialog.find('.phone-composer-tab').on('click', function () {
+        const source = $(this).data('source');
+        dialog.find('.phone-composer-tab').removeClass('active');
+        $(this).addClass('active');
+        dialog.find('.phone-composer-source').each(function () {
+            $(this).toggle($(this).data('source') === source);
+        });
+    });
+
+    dialog.find('.phone-composer-file').on('change', async function () {
+        const file = this.files?.[0];
+        if (!file) return;
+
+        preview.html('<div class="phone-img-overlay-spinner"></div>');
+        sendBtn.prop('disabled', true);
+        try {
+            const format = file.type.split('/')[1] || file.name.split('.').pop() || 'png';
+            const url = await uploadImage(await blobToBase64(file), format, name2 || '');
+            trackImageFile(url);
+            setDraft({ url, source: 'upload', prompt: '' });
+        } catch (error) {
+            console.error(`[${MODULE_NAME}] Photo upload failed:`, error);
+            toastr.error(error.message, 'Photo upload failed');
+            setDraft(null);
+        }
+    });
+
+    dialog.find('.phone-composer-generate-btn').on('click', async function () {
+        const prompt = promptInput.val().trim();
+        if (!prompt) return;
+
+        const generateBtn = $(this).prop('disabled', true);
+        preview.html('<div class="phone-img-overlay-spinner"></div>');
+        sendBtn.prop('disabled', true);
+        const composed = composeImagePrompt(prompt, null);
+        const job = enqueueImageJob(composed.prompt, null, { negative: composed.negative });
+        try {
+            const url = await job.promise;
+            setDraft({ url, source: 'generated', prompt, sentPrompt: composed.prompt });
+            if (!descriptionInput.val().trim()) descriptionInput.val(prompt);
+        } catch (error) {
+            console.error(`[${MODULE_NAME}] Photo generation failed:`, error);
+            toastr.error(error.message, 'Photo generation failed');
+            setDraft(null);
+        } finally {
+            generateBtn.prop('disabled', false);
+        }
+    });
+
+    dialog.find('.phone-composer-cancel-btn').on('click', () => photoComposerEl.close());
+
+    sendBtn.on('click', () => {
+        if (!draft) return;
+        const description = descriptionInput.val().trim() || draft.prompt;
+        photoComposerEl.close();
+        sendWithOutgoingMedia('0', {
+            urls: [draft.url],
+            type: 'image',
+            prompt: draft.prompt,
+            description,
+            source: draft.source,
+            ...(draft.sentPrompt ? { variants: [{ sentPrompt: draft.sentPrompt }] } : {}),
+            activeIndex: 0,
+            status: 'done',
+        }, '*Sends a photo*');
+    });
+
+    return photoComposerEl;
+}
+
+/**
+ * Attach media to the next user message and send the chat input.
+ * @param {string} key - The phoneMedia key (e.g. '0' for a photo, 'vn0' for a voice note)
+ * @param {object} media
+ * @param {string} fallbackText - Message text used when the chat input is empty
+ */
+function sendWithOutgoingMedia(key, media, fallbackText) {
+    const staged = { media: { ...takeOutgoingMedia(), [key]: media }, stagedAt: Date.now() };
+    pendingOutgoingMedia = staged;
+
+    // An empty chat input would make SillyTavern generate without a user message
+    const textarea = $('#send_textarea');
+    if (!String(textarea.val()).trim()) textarea.val(fallbackText);
+    $('#send_but').trigger('click');
+
+    // If the send was ignored, drop the media instead of attaching it to a later message
+    setTimeout(() => {
+        if (pendingOutgoingMedia !== staged) return;
+        pendingOutgoingMedia = null;
+        console.warn(`[${MODULE_NAME}] The message with the attached media was not sent; attachment dropped`);
+        toastr.warning('The message was not sent, so the attachment was dropped', 'Phone UI');
+    }, OUTGOING_MEDIA_TIMEOUT_MS);
+}
+
+/**
+ * Take the staged outgoing media, unless it is older than the send it was staged for.
+ * @returns {object|null} phoneMedia entries by key
+ */
+function takeOutgoingMedia() {
+    const staged = pendingOutgoingMedia;
+    pendingOutgoingMedia = null;
+    if (!staged || Date.now() - staged.stagedAt > OUTGOING_MEDIA_TIMEOUT_MS) return null;
+    return staged.media;
+}
+
+/**
+ * Upload a file to the user files area.
+ * @param {string} base64
+ * @param {string} fileName - Must include an extension
+ * @returns {Promise<string>} Server-relative URL of the uploaded file
+ */
+async function uploadUserFile(base64, fileName) {
+    const response = await fetch('/api/files/upload', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ name: fileName, data: base64 }),
+    });
+
+    if (!response.ok) {
+        const err = await response.json().catch(() => ({}));
+        throw new Error(err.error || 'File upload failed');
+    }
+
+    const { path } = await response.json();
+    return path.startsWith('/') ? path : `/${path}`;
+}
+
+/**
+ * Encode decoded audio as a 16-bit mono WAV file.
+ * @param {AudioBuffer} audioBuffer
+ * @returns {Blob}
+ */
+function encodeWav(audioBuffer) {
+    const samples = audioBuffer.getChannelData(0);
+    const sampleRate = audioBuffer.sampleRate;
+    const buffer = new ArrayBuffer(44 + samples.length * 2);
+    const view = new DataView(buffer);
+    const writeString = (offset, str) => {
+        for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i));
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + samples.length * 2, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);
+    view.setUint16(22, 1, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * 2, true);
+    view.setUint16(32, 2, true);
+    view.setUint16(34, 16, true);
+    writeString(36, 'data');
+    view.setUint32(40, samples.length * 2, true);
+
+    for (let i = 0; i < samples.length; i++) {
+        const clamped = Math.max(-1, Math.min(1, samples[i]));
+        view.setInt16(44 + i * 2, clamped < 0 ? clamped * 0x8000 : clamped * 0x7FFF, true);
+    }
+
+    return new Blob([buffer], { type: 'audio/wav' });
+}
+
+/**
+ * Transcribe a recording with the provider configured in SillyTavern's Speech Recognition
+ * extension. Only file-based Whisper providers can transcribe a finished recording.
+ * @param {Blob} blob
+ * @returns {Promise<string>} The transcript, or '' if no supported provider is configured
+ */
+async function transcribeRecording(blob) {
+    const speechSettings = extension_settings.speech_recognition;
+    const provider = speechSettings?.currentProvider;
+    const language = speechSettings?.[provider]?.language || '';
+
+    if (provider === 'Whisper (OpenAI)') {
+        const formData = new FormData();
+        formData.append('avatar', blob, 'voice-note.webm');
+        formData.append('model', 'whisper-1');
+        if (language) formData.append('language', language);
+
+        const headers = getRequestHeaders();
+        delete headers['Content-Type'];
+        const response = await fetch('/api/openai/transcribe-audio', { method: 'POST', headers, body: formData });
+        if (!response.ok) throw new Error(`Transcription failed: ${response.status}`);
+        return (await response.json()).text?.trim() || '';
+    }
+
+    if (provider === 'Whisper (Local)') {
+        const audioContext = new AudioContext();
+        try {
+            const decoded = await audioContext.decodeAudioData(await blob.arrayBuffer());
+            const audio = `data:audio/wav;base64,${await blobToBase64(encodeWav(decoded))}`;
+            const response = await fetch('/api/speech/recognize', {
+                method: 'POST',
+                headers: getRequestHeaders(),
+                body: JSON.stringify({ audio, lang: language }),
+            });
+            if (!response.ok) throw new Error(`Transcription failed: ${response.status}`);
+            return (await response.json()).text?.trim() || '';
+        } finally {
+            audioContext.close();
+        }
+    }
+
+    return '';
+}
+
+/** Voice note recorder singleton (uses <dialog> like the lightbox) */
+let voiceComposerEl = null;
+
+/**
+ * Get or create the "record a voice note" composer dialog.
+ * Records the microphone with MediaRecorder, transcribes it when a supported speech
+ * recognition provider is configured, and lets the user type or fix the transcript.
+ * @returns {HTMLDialogElement}
+ */
+function getVoiceComposer() {
+    if (voiceComposerEl) return voiceComposerEl;
+
+    voiceComposerEl = document.createElement('dialog');
+    voiceComposerEl.className = 'phone-composer';
+    voiceComposerEl.innerHTML = `
+        <div class="phone-composer-title">Record a voice note</div>
+        <div class="phone-composer-recorder">
+            <button class="phone-composer-record-btn" title="Record">&#9679;</button>
+            <span class="phone-composer-timer">0:00</span>
+            <span class="phone-composer-status"></span>
+        </div>
+        <div class="phone-composer-preview"></div>
+        <textarea class="phone-img-editor-textarea phone-composer-transcript" placeholder="Transcript (the character reads this)"></textarea>
+        <div class="phone-img-editor-actions">
+            <button class="phone-composer-cancel-btn">Cancel</button>
+            <button class="phone-img-save-gen-btn phone-composer-send-btn" disabled>Attach</button>
+        </div>`;
+    document.body.appendChild(voiceComposerEl);
+
+    const dialog = $(voiceComposerEl);
+    const recordBtn = dialog.find('.phone-composer-record-btn');
+    const timer = dialog.find('.phone-composer-timer');
+    const status = dialog.find('.phone-composer-status');
+    const preview = dialog.find('.phone-composer-preview');
+    const transcriptInput = dialog.find('.phone-composer-transcript');
+    const sendBtn = dialog.find('.phone-composer-send-btn');
+
+    let recorder = null;
+    let stream = null;
+    let chunks = [];
+    let startedAt = 0;
+    let timerInterval = null;
+    // Finished recording: { blob, duration, mimeType }
+    let recording = null;
+
+    const stopStream = () => {
+        stream?.getTracks().forEach(track => track.stop());
+        stream = null;
+        clearInterval(timerInterval);
+    };
+
+    dialog.on('phone-composer:reset', () => {
+        if (recorder?.state === 'recording') {
+            recorder.onstop = null;
+            recorder.stop();
+        }
+        stopStream();
+        recorder = null;
+        recording = null;
+        recordBtn.removeClass('recording').html('&#9679;').attr('title', 'Record');
+        timer.text('0:00');
+        status.text('');
+        preview.empty();
+        transcriptInput.val('');
+        sendBtn.prop('disabled', true);
+    });
+
+    recordBtn.on('click', async () => {
+        if (recorder?.state === 'recording') {
+            recorder.stop();
+            return;
+        }
+
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        } catch (error) {
+            console.error(`[${MODULE_NAME}] Microphone access failed:`, error);
+            toastr.error(error.message, 'Microphone access failed');
+            return;
+        }
+
+        const mimeType = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4']
+            .find(type => MediaRecorder.isTypeSupported(type)) || '';
+        recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+        chunks = [];
+        recording = null;
+        preview.empty();
+        sendBtn.prop('disabled', true);
+
+        recorder.ondataavailable = (e) => { if (e.data.size) chunks.push(e.data); };
+        recorder.onstop = async () => {
+            // MediaRecorder output often has no duration header, so use wall-clock time
+            const duration = (Date.now() - startedAt) / 1000;
+            stopStream();
+            recordBtn.removeClass('recording').html('&#9679;').attr('title', 'Record again');
+
+            const blob = new Blob(chunks, { type: recorder.mimeType || 'audio/webm' });
+            recording = { blob, duration, mimeType: blob.type };
+            preview.empty().append($('<audio controls>').attr('src', URL.createObjectURL(blob)));
+            sendBtn.prop('disabled', false);
+
+            if (!getSettings().transcribeVoiceNotes) return;
+            status.text('Transcribing\u2026');
+            try {
+                const transcript = await transcribeRecording(blob);
+                if (transcript && !transcriptInput.val().trim()) transcriptInput.val(transcript);
+                status.text(transcript ? '' : 'Type a transcript below');
+            } catch (error) {
+                console.error(`[${MODULE_NAME}] Voice note transcription failed:`, error);
+                status.text('Transcription failed \u2014 type a transcript below');
+            }
+        };
+
+        startedAt = Date.now();
+        recorder.start();
+        recordBtn.addClass('recording').html('&#9632;').attr('title', 'Stop');
+        status.text('');
+        timerInterval = setInterval(() => {
+            timer.text(formatDuration(Math.floor((Date.now() - startedAt) / 1000)));
+        }, 250);
+    });
+
+    dialog.find('.phone-composer-cancel-btn').on('click', () => voiceComposerEl.close());
+    dialog.on('close', () => dialog.trigger('phone-composer:reset'));
+
+    sendBtn.on('click', async () => {
+        if (!recording) return;
+
+        sendBtn.prop('disabled', true);
+        status.text('Uploading\u2026');
+        try {
+            const ext = recording.mimeType.split('/')[1]?.split(';')[0] || 'webm';
+            const audioUrl = await uploadUserFile(await blobToBase64(recording.blob), `phone-vn-${Date.now()}.${ext}`);
+            const media = {
+                type: 'voice_note',
+                text: transcriptInput.val().trim(),
+                audioUrl,
+                duration: recording.duration,
+                source: 'recorded',
+            };
+            await ensureVnPeaks(media, recording.blob);
+            voiceComposerEl.close();
+            sendWithOutgoingMedia('vn0', media, '*Sends a voice note*');
+        } catch (error) {
+            console.error(`[${MODULE_NAME}] Voice note upload failed:`, error);
+            toastr.error(error.message, 'Voice note upload failed');
+            status.text('');
+            sendBtn.prop('disabled', false);
+        }
+    });
+
+    return voiceComposerEl;
+}
+
+/**
+ * Open the photo composer with a clean state.
+ */
+function openPhotoComposer() {
+    const composer = getPhotoComposer();
+    $(composer).trigger('phone-composer:reset');
+    composer.showModal();
+}
+
+/**
+ * Open the voice note recorder with a clean state.
+ */
+function openVoiceComposer() {
+    const composer = getVoiceComposer();
+    $(composer).trigger('phone-composer:reset');
+    composer.showModal();
+}
+
+/**
+ * Add the "send a photo" and "record a voice note" buttons next to the chat input.
+ */
+function initComposeButtons() {
+    const photoButton = $('<div id="phone_ui_send_photo" class="fa-solid fa-camera interactable" title="Send a photo" tabindex="0"></div>');
+    photoButton.on('click', openPhotoComposer);
+    const voiceButton = $('<div id="phone_ui_record_vn" class="fa-solid fa-microphone interactable" title="Record a voice note" tabindex="0"></div>');
+    voiceButton.on('click', openVoiceComposer);
+    $('#leftSendForm').append(photoButton, voiceButton);
+}
+
+/**
+ * Attach media from the composer to a just-sent user message.
+ * @param {number} messageId
+ */
+function onMessageSent(messageId) {
+    if (!pendingOutgoingMedia) return;
+
+    const message = chat[messageId];
+    if (!message?.is_user) return;
+
+    const media = takeOutgoingMedia();
+    if (!media) return;
+
+    if (!message.extra) message.extra = {};
+    message.extra.phoneMedia = { ...message.extra.phoneMedia, ...media };
+}
+
+/**
+ * Render media attached to a user message (outgoing photos and voice notes).
+ * User messages have no [IMG] tags or placeholders, so media is appended to the message.
+ * @param {number} messageId
+ */
+function onUserMessageRendered(messageId) {
+    if (processedMessages.has(messageId)) return;
+
+    const message = chat[messageId];
+    if (!message?.is_user) return;
+
+    const phoneMedia = message.extra?.phoneMedia;
+    if (!phoneMedia || !Object.keys(phoneMedia).length) return;
+
+    const mesText = $(`#chat .mes[mesid="${messageId}"] .mes_text`);
+    if (!mesText.length) return;
+
+    processedMessages.add(messageId);
+
+    for (const [idxStr, media] of Object.entries(phoneMedia)) {
+        if (media.type === 'image' && getSettings().imagesEnabled) {
+            restoreImage(mesText, media, parseInt(idxStr, 10), messageId);
+            const wrapper = mesText.find(`.phone-img-wrapper[data-phone-img-slot="${idxStr}"]`).addClass('phone-img-outgoing');
+            if (media.source === 'upload') wrapper.addClass('phone-img-upload');
+            syncCarousel(wrapper, media);
+        }
+        if (media.type === 'voice_note' && getSettings().voiceNotesEnabled) {
+            restoreVoiceNote(mesText, media, parseInt(idxStr.replace('vn', ''), 10), messageId);
+        }
+    }
+
+    bindCarouselHandlers(mesText, messageId);
+}
+
+/**
+ * Describe a user message's outgoing media for the prompt, so the character can react to it.
+ * @param {object} message
+ * @returns {string[]}
+ */
+function describeOutgoingMedia(message) {
+    const notes = [];
+    for (const media of Object.values(message.extra?.phoneMedia || {})) {
+        if (media.type === 'image') {
+            const description = media.description || media.prompt;
+            notes.push(description ? `[${name1} sent a photo: ${description}]` : `[${name1} sent a photo]`);
+        }
+        if (media.type === 'voice_note') {
+            notes.push(media.text ? `[${name1} sent a voice note: "${media.text}"]` : `[${name1} sent a voice note]`);
+        }
+    }
+    return notes;
+}
+
+/**
+ * Generation interceptor (registered in manifest.json). Adds outgoing media descriptions
+ * to user messages in the prompt. Edited messages are replaced with copies in the array
+ * so the stored chat is not modified.
+ * @param {object[]} promptChat - The chat array used for this generation
+ */
+globalThis.phoneUiGenerateInterceptor = function (promptChat) {
+    for (let i = 0; i < promptChat.length; i++) {
+        const message = promptChat[i];
+        if (!message?.is_user) continue;
+        const notes = describeOutgoingMedia(message);
+        if (notes.length) {
+            promptChat[i] = { ...message, mes: [message.mes, ...notes].filter(Boolean).join('\n') };
+        }
+    }
+};
+
+/**
+ * Reprocess all messages to restore images and voice notes.
  */
 async function reprocessAllMessages() {
     processedMessages.clear();
     for (let i = 0; i < chat.length; i++) {
         const message = chat[i];
-        if (!message || message.is_user || message.is_system) continue;
+        if (!message || message.is_system) continue;
+        if (message.is_user) {
+            onUserMessageRendered(i);
+            continue;
+        }
         await onCharacterMessageRendered(i);
     }
 }
 
+loadSettings();
+
+jQuery(async () => {
+    initComposeButtons();
+    await initSettingsUi();
+});
+
 // Restore images and voice notes when a chat is loaded
 eventSource.on(event_types.CHAT_CHANGED, () => {
     processedMessages.clear();
+    cancelAllImageJobs();
+    streamingImageJobs.clear();
     // Delay to ensure DOM is rendered by printMessages()
     requestAnimationFrame(() => reprocessAllMessages());
 });
 
+// Deleted chats no longer hold on to shared image files
+eventSource.on(event_types.CHAT_DELETED, onChatDeleted);
+eventSource.on(event_types.GROUP_CHAT_DELETED, onChatDeleted);
+eventSource.on(event_types.CHARACTER_DELETED, onCharacterDeleted);
+
 // Clear tracking for swiped messages
-eventSource.on(event_types.MESSAGE_SWIPED, (messageId) => {
-    processedMessages.delete(messageId);
+eventSource.on(event_types.MESSAGE_SWIPED, onMessageSwiped);
+
+// Main listener; streaming jobs the render didn't claim are dropped afterwards
+eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, async (messageId) => {
+    await onCharacterMessageRendered(messageId);
+    cancelStreamingImageJobs(messageId);
 });
 
-// Main listener
-eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, onCharacterMessageRendered);
+// Hide tags and start images early while a reply streams in
+eventSource.on(event_types.STREAM_TOKEN_RECEIVED, onStreamTokenReceived);
+
+// Outgoing media on user messages
+eventSource.on(event_types.MESSAGE_SENT, onMessageSent);
+eventSource.on(event_types.USER_MESSAGE_RENDERED, onUserMessageRendered);
 
 // Slash command to manually re-process messages
 SlashCommandParser.addCommandObject(SlashCommand.fromProps({
@@ -1058,7 +5307,34 @@ SlashCommandParser.addCommandObject(SlashCommand.fromProps({
         await reprocessAllMessages();
         return 'Reprocessed all messages';
     },
-    helpString: 'Re-process all character messages for [IMG] and [VN] tags. Use when the extension fails to trigger automatically.',
+    helpString: 'Re-process all messages for [IMG] and [VN] tags and outgoing photos. Use when the extension fails to trigger automatically.',
+}));
+
+SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+    name: 'phone-gallery',
+    callback: async () => {
+        openGalleryBrowser();
+        return '';
+    },
+    helpString: 'Browse every phone photo variant and voice note in the current chat, jump to their messages and save photos to the gallery in bulk.',
+}));
+
+SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+    name: 'phone-cleanup',
+    callback: async () => {
+        const deleted = await cleanupUnusedImages();
+        return String(deleted);
+    },
+    helpString: 'Find image files created for the current chat that no message uses any more (deleted or swiped-away messages, discarded variants) and offer to delete them. Returns the number of files deleted.',
+}));
+
+SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+    name: 'phone-export',
+    callback: async () => {
+        await exportPhoneMedia();
+        return '';
+    },
+    helpString: 'Download every phone photo variant and cached/recorded voice note in the current chat as a ZIP with a manifest.json. Import it from the /phone-gallery browser.',
 }));
 
 console.log(`[${MODULE_NAME}] Extension loaded — listening for [IMG] and [VN] tags`);
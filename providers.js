@@ -0,0 +1,419 @@
+/**
+ * Image providers: the backends phone photos are generated with.
+ * Every provider takes the same request and returns either a URL SillyTavern already
+ * stores (the /imagine adapter) or an image Blob for the caller to upload.
+ * Providers must honor `request.signal` so queued jobs can be cancelled.
+ * A provider that can also animate implements `generateVideo` the same way, returning a
+ * video, GIF or animated WebP; see canGenerateVideo().
+ */
+
+import { executeSlashCommandsWithOptions } from '../../../slash-commands.js';
+import { SlashCommandAbortController } from '../../../slash-commands/SlashCommandAbortController.js';
+
+/**
+ * @typedef {object} ImageRequest
+ * @property {string} prompt - The composed prompt
+ * @property {string} negative - Negative prompt, may be empty
+ * @property {string|null} reference - Reference image URL, if the author has one
+ * @property {number} width - Pixels; 0 leaves it to the backend
+ * @property {number} height - Pixels; 0 leaves it to the backend
+ * @property {number} steps - Sampling steps; 0 leaves it to the backend
+ * @property {number} seed - -1 for a random seed
+ * @property {AbortSignal} signal
+ */
+
+/**
+ * @typedef {object} ImageResult
+ * @property {string} [url] - Server-relative URL of an image SillyTavern already saved
+ * @property {Blob} [blob] - Image data still to be uploaded
+ * @property {number} [seed] - Seed actually used, when the backend reports it
+ * @property {number} [width]
+ * @property {number} [height]
+ */
+
+/**
+ * @typedef {object} ImageProvider
+ * @property {string} id - Stored in the `imageProvider` setting
+ * @property {string} name - Shown in the settings drawer
+ * @property {boolean} usesEndpoint - Whether the provider URL / size settings apply
+ * @property {(request: ImageRequest, settings: object) => Promise<ImageResult>} generate
+ * @property {(request: ImageRequest, settings: object) => Promise<ImageResult>} [generateVideo] - Short clip for [VID] tags
+ * @property {(settings: object) => boolean} [supportsVideo] - Whether generateVideo is usable with these settings
+ */
+
+/** ComfyUI history polling interval and give-up time */
+const COMFY_POLL_INTERVAL_MS = 1000;
+const COMFY_TIMEOUT_MS = 5 * 60 * 1000;
+
+/** How far img2img may move away from the reference image (0-1) */
+const A1111_REFERENCE_DENOISE = 0.75;
+
+/** @type {Map<string, ImageProvider>} */
+const providers = new Map();
+
+/**
+ * Add an image provider, replacing one with the same id.
+ * @param {ImageProvider} provider
+ */
+export function registerImageProvider(provider) {
+    providers.set(provider.id, provider);
+}
+
+/**
+ * Look up a provider by id, falling back to /imagine for unknown ids.
+ * @param {string} id
+ * @returns {ImageProvider}
+ */
+export function getImageProvider(id) {
+    return providers.get(id) || providers.get('imagine');
+}
+
+/**
+ * List every registered provider, in registration order.
+ * @returns {ImageProvider[]}
+ */
+export function getImageProviders() {
+    return [...providers.values()];
+}
+
+/**
+ * Check whether a provider can generate clips with the current settings. Without that,
+ * [VID] clips are built from several images instead.
+ * @param {ImageProvider} provider
+ * @param {object} settings - Extension settings
+ * @returns {boolean}
+ */
+export function canGenerateVideo(provider, settings) {
+    if (typeof provider?.generateVideo !== 'function') return false;
+    return provider.supportsVideo ? provider.supportsVideo(settings) : true;
+}
+
+/**
+ * Sanitize text for use in slash command arguments.
+ * Strips pipe characters that could chain commands.
+ * @param {string} text
+ * @returns {string}
+ */
+export function sanitizeForSlashCommand(text) {
+    return text.replace(/\|/g, ',');
+}
+
+/**
+ * Build the /imagine command for a request using the configured arguments.
+ * Size and seed are only passed when the photo sets them. The reference image is only
+ * passed when a reference argument is configured; without one the backend can't take it.
+ * @param {ImageRequest} request
+ * @param {object} settings - Extension settings
+ * @returns {string}
+ */
+function buildImagineCommand(request, settings) {
+    let args = sanitizeForSlashCommand(settings.imagineArgs || '').trim();
+
+    if (request.negative) {
+        args = `${args} negative="${sanitizeForSlashCommand(request.negative).replace(/"/g, '\'')}"`.trim();
+    }
+
+    if (request.width && request.height) args = `${args} width=${request.width} height=${request.height}`.trim();
+    if (request.seed >= 0) args = `${args} seed=${request.seed}`.trim();
+
+    const referenceArg = (settings.referenceArgument || '').trim().replace(/[^\w-]/g, '');
+    if (request.reference && referenceArg) {
+        const url = new URL(request.reference, window.location.origin).href;
+        args = `${args} ${referenceArg}="${sanitizeForSlashCommand(url).replace(/"/g, '%22')}"`.trim();
+    }
+    return `/imagine ${args ? `${args} ` : ''}${sanitizeForSlashCommand(request.prompt)}`;
+}
+
+/**
+ * Trim a trailing slash from the configured endpoint, or fail if there is none.
+ * @param {object} settings
+ * @returns {string}
+ */
+function getEndpoint(settings) {
+    const url = (settings.providerUrl || '').trim().replace(/\/+$/, '');
+    if (!url) throw new Error('No image provider URL configured');
+    return url;
+}
+
+/**
+ * Read a Blob as base64 (without the data: URL prefix).
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+export function blobToBase64(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result.split(',')[1]);
+        reader.onerror = reject;
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Fetch a reference image from SillyTavern.
+ * @param {string} url
+ * @param {AbortSignal} signal
+ * @returns {Promise<Blob>}
+ */
+async function fetchReference(url, signal) {
+    const response = await fetch(url, { signal });
+    if (!response.ok) throw new Error(`Reference image not found: ${url}`);
+    return response.blob();
+}
+
+/**
+ * POST JSON to a backend and parse the JSON reply.
+ * @param {string} url
+ * @param {object} body
+ * @param {AbortSignal} signal
+ * @returns {Promise<any>}
+ */
+async function postJson(url, body, signal) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal,
+    });
+    if (!response.ok) {
+        throw new Error(`${url} responded ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+}
+
+/**
+ * Wait, rejecting early if the signal aborts. The abort listener is removed once the
+ * wait is over, so polling doesn't pile listeners onto the job's signal.
+ * @param {number} ms
+ * @param {AbortSignal} signal
+ * @returns {Promise<void>}
+ */
+function delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Default provider: SillyTavern's Image Generation extension via /imagine. Steps, and
+ * size and seed unless the photo sets them, come from that extension's own settings.
+ * /imagine doesn't report a random seed, so only a requested one is returned.
+ * @type {ImageProvider}
+ */
+const imagineProvider = {
+    id: 'imagine',
+    name: 'SillyTavern /imagine',
+    usesEndpoint: false,
+    async generate(request, settings) {
+        const abortController = new SlashCommandAbortController();
+        const onAbort = () => abortController.abort('Cancelled by user', true);
+        request.signal.addEventListener('abort', onAbort, { once: true });
+
+        let result;
+        try {
+            result = await executeSlashCommandsWithOptions(
+                buildImagineCommand(request, settings),
+                { handleParserErrors: true, handleExecutionErrors: true, abortController },
+            );
+        } finally {
+            request.signal.removeEventListener('abort', onAbort);
+        }
+        return {
+            url: result?.pipe || '',
+            ...(request.seed >= 0 ? { seed: request.seed } : {}),
+            ...(request.width && request.height ? { width: request.width, height: request.height } : {}),
+        };
+    },
+};
+
+/**
+ * AUTOMATIC1111 / Forge web UI API (`--api`, and `--cors-allow-origins` for the
+ * SillyTavern origin). A reference image switches to img2img.
+ * @type {ImageProvider}
+ */
+const a1111Provider = {
+    id: 'a1111',
+    name: 'AUTOMATIC1111 / Forge API',
+    usesEndpoint: true,
+    async generate(request, settings) {
+        const endpoint = getEndpoint(settings);
+        const body = {
+            prompt: request.prompt,
+            negative_prompt: request.negative,
+            seed: request.seed,
+            ...(request.width ? { width: request.width } : {}),
+            ...(request.height ? { height: request.height } : {}),
+            ...(request.steps ? { steps: request.steps } : {}),
+        };
+
+        let route = 'txt2img';
+        if (request.reference) {
+            route = 'img2img';
+            body.init_images = [await blobToBase64(await fetchReference(request.reference, request.signal))];
+            body.denoising_strength = A1111_REFERENCE_DENOISE;
+        }
+
+        const data = await postJson(`${endpoint}/sdapi/v1/${route}`, body, request.signal);
+        if (!data?.images?.length) throw new Error('The A1111 API returned no image');
+
+        let info = {};
+        try {
+            info = JSON.parse(data.info || '{}');
+        } catch {
+            // Older versions return info as plain text
+        }
+        const blob = await (await fetch(`data:image/png;base64,${data.images[0]}`)).blob();
+        return { blob, seed: info.seed, width: info.width, height: info.height };
+    },
+};
+
+/**
+ * Run a ComfyUI workflow and download its first output file. The workflow is an API-format
+ * export in which `%prompt%`, `%negative_prompt%`, `%seed%`, `%width%`, `%height%`,
+ * `%steps%` and `%reference_image%` are replaced, the same placeholders SillyTavern's own
+ * ComfyUI workflows use.
+ * @param {string} workflowText
+ * @param {ImageRequest} request
+ * @param {object} settings
+ * @param {string[]} outputKeys - Node output lists to take the file from, in order of preference
+ * @returns {Promise<ImageResult>}
+ */
+async function runComfyWorkflow(workflowText, request, settings, outputKeys) {
+    const endpoint = getEndpoint(settings);
+
+    let referenceName = '';
+    if (request.reference && workflowText.includes('%reference_image%')) {
+        const form = new FormData();
+        form.append('image', await fetchReference(request.reference, request.signal), 'phone-ui-reference.png');
+        form.append('overwrite', 'true');
+        const upload = await fetch(`${endpoint}/upload/image`, { method: 'POST', body: form, signal: request.signal });
+        if (!upload.ok) throw new Error(`ComfyUI reference upload failed: ${upload.status}`);
+        referenceName = (await upload.json()).name;
+    }
+
+    const seed = request.seed >= 0 ? request.seed : Math.floor(Math.random() * 2 ** 32);
+    // String placeholders sit inside JSON quotes, numeric ones stand alone
+    const text = (value) => JSON.stringify(String(value)).slice(1, -1);
+    const workflow = JSON.parse(workflowText
+        .replaceAll('%prompt%', text(request.prompt))
+        .replaceAll('%negative_prompt%', text(request.negative))
+        .replaceAll('%reference_image%', text(referenceName))
+        .replaceAll('%seed%', String(seed))
+        .replaceAll('%width%', String(request.width || 768))
+        .replaceAll('%height%', String(request.height || 1024))
+        .replaceAll('%steps%', String(request.steps || 25)));
+
+    const { prompt_id: promptId } = await postJson(`${endpoint}/prompt`, { prompt: workflow }, request.signal);
+    const deadline = Date.now() + COMFY_TIMEOUT_MS;
+
+    while (Date.now() < deadline) {
+        await delay(COMFY_POLL_INTERVAL_MS, request.signal);
+        const historyResponse = await fetch(`${endpoint}/history/${promptId}`, { signal: request.signal });
+        if (!historyResponse.ok) {
+            throw new Error(`${endpoint}/history/${promptId} responded ${historyResponse.status} ${historyResponse.statusText}`);
+        }
+        const history = await historyResponse.json();
+        const outputs = history?.[promptId]?.outputs;
+        if (!outputs) continue;
+
+        const file = outputKeys.flatMap(key => Object.values(outputs).flatMap(output => output[key] || []))[0];
+        if (!file) throw new Error('The ComfyUI workflow produced no output');
+
+        const params = new URLSearchParams({ filename: file.filename, subfolder: file.subfolder || '', type: file.type || 'output' });
+        const response = await fetch(`${endpoint}/view?${params}`, { signal: request.signal });
+        if (!response.ok) throw new Error(`ComfyUI download failed: ${response.status}`);
+        return { blob: await response.blob(), seed, width: request.width || undefined, height: request.height || undefined };
+    }
+    throw new Error('ComfyUI did not finish in time');
+}
+
+/**
+ * ComfyUI API. Photos use the `comfyWorkflow` setting. Clips use `comfyVideoWorkflow`
+ * (e.g. AnimateDiff with Video Combine or SaveAnimatedWEBP) when one is set.
+ * @type {ImageProvider}
+ */
+const comfyProvider = {
+    id: 'comfyui',
+    name: 'ComfyUI API',
+    usesEndpoint: true,
+    async generate(request, settings) {
+        if (!settings.comfyWorkflow?.trim()) throw new Error('No ComfyUI workflow configured');
+        return runComfyWorkflow(settings.comfyWorkflow, request, settings, ['images']);
+    },
+    supportsVideo(settings) {
+        return !!settings.comfyVideoWorkflow?.trim();
+    },
+    async generateVideo(request, settings) {
+        if (!settings.comfyVideoWorkflow?.trim()) throw new Error('No ComfyUI video workflow configured');
+        // Video Combine reports its file under `gifs`, whatever the format
+        return runComfyWorkflow(settings.comfyVideoWorkflow, request, settings, ['gifs', 'videos', 'images']);
+    },
+};
+
+/**
+ * Offline provider for testing the pipeline: draws a placeholder photo with the prompt
+ * on it. The same seed always gives the same colors.
+ * @type {ImageProvider}
+ */
+const mockProvider = {
+    id: 'mock',
+    name: 'Mock (offline test images)',
+    usesEndpoint: false,
+    async generate(request) {
+        await delay(800, request.signal);
+
+        const width = request.width || 768;
+        const height = request.height || 1024;
+        const seed = request.seed >= 0 ? request.seed : Math.floor(Math.random() * 2 ** 32);
+        const hue = seed % 360;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        const gradient = ctx.createLinearGradient(0, 0, width, height);
+        gradient.addColorStop(0, `hsl(${hue}, 55%, 35%)`);
+        gradient.addColorStop(1, `hsl(${(hue + 60) % 360}, 55%, 15%)`);
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, width, height);
+
+        // Word-wrap the prompt so the image shows what was asked for
+        const fontSize = Math.round(width / 24);
+        ctx.fillStyle = '#fff';
+        ctx.font = `${fontSize}px sans-serif`;
+        const lines = [];
+        let line = '';
+        for (const word of request.prompt.split(/\s+/)) {
+            const candidate = line ? `${line} ${word}` : word;
+            if (ctx.measureText(candidate).width > width * 0.85 && line) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        }
+        if (line) lines.push(line);
+        lines.slice(0, 20).forEach((text, i) => ctx.fillText(text, width * 0.075, fontSize * 2 + i * fontSize * 1.3));
+        ctx.fillText(`seed ${seed}`, width * 0.075, height - fontSize);
+
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        return { blob, seed, width, height };
+    },
+};
+
+registerImageProvider(imagineProvider);
+registerImageProvider(a1111Provider);
+registerImageProvider(comfyProvider);
+registerImageProvider(mockProvider);
@@ -0,0 +1,222 @@
+/**
+ * Media tag grammar shared by every media type: `[NAME attr="value" ...]content[/NAME]`.
+ * Media types register a tag type; nothing here knows about IMG or VN.
+ *
+ * LLM output is messy, so the parser tolerates:
+ * - any case and stray spaces: `[ img ]`, `[/ IMG ]`
+ * - markdown-escaped brackets: `\[IMG\]...\[/IMG\]`
+ * - double, single, curly or no quotes around attribute values
+ * - a missing closing tag: the tag's content then ends at the first newline or the next
+ *   opening tag of any type, and the tag is reported with `closed: false`. Only the opening
+ *   tag of an unclosed tag is removed by stripTags, so the narrative after it survives.
+ * - closing tags without an opening tag (ignored, and removed by stripTags)
+ */
+
+/**
+ * @typedef {object} TagType
+ * @property {string} name - Tag name, upper case (e.g. 'IMG')
+ * @property {string} placeholderAttr - Data attribute of the LLM's placeholder element (e.g. 'data-phone-img')
+ * @property {string} keyPrefix - Prefix of the tag's `phoneMedia` keys ('' for images, 'vn' for voice notes)
+ */
+
+/**
+ * @typedef {object} ParsedTag
+ * @property {string} name - Tag name, upper case
+ * @property {number} index - Position among the tags of this type (0-based)
+ * @property {string|null} id - The `id` attribute, which links the tag to `[placeholderAttr="id"]`
+ * @property {Object<string, string>} attributes
+ * @property {string} attributeText - The opening tag's attributes as written
+ * @property {string} content - Trimmed text between the tags
+ * @property {number} start - Offset of the opening tag
+ * @property {number} contentStart - Offset just past the opening tag
+ * @property {number} end - Offset just past the closing tag, or where an unclosed tag's content stops
+ * @property {boolean} closed - False when the closing tag is missing
+ */
+
+/** @type {Map<string, TagType>} */
+const tagTypes = new Map();
+
+/**
+ * Register a media tag type, replacing one with the same name.
+ * @param {TagType} type
+ */
+export function registerTagType(type) {
+    const name = type.name.toUpperCase();
+    tagTypes.set(name, { ...type, name });
+}
+
+/**
+ * Look up a registered tag type.
+ * @param {string} name
+ * @returns {TagType|undefined}
+ */
+export function getTagType(name) {
+    return tagTypes.get(name.toUpperCase());
+}
+
+/**
+ * List every registered tag type, in registration order.
+ * @returns {TagType[]}
+ */
+export function getTagTypes() {
+    return [...tagTypes.values()];
+}
+
+/**
+ * Escape a string for literal use in a RegExp.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * RegExp matching an opening tag. Group 1 holds the attributes.
+ * @param {string|string[]} name - One tag name, or several to match an opening tag of any of them
+ * @param {string} [flags]
+ * @returns {RegExp}
+ */
+export function openTagPattern(name, flags = 'i') {
+    const names = [].concat(name).map(escapeRegExp).join('|');
+    return new RegExp(`\\\\?\\[\\s*(?:${names})((?:\\s[^\\]]*?)?)\\s*\\\\?\\]`, flags);
+}
+
+/**
+ * RegExp matching a closing tag.
+ * @param {string} name
+ * @param {string} [flags]
+ * @returns {RegExp}
+ */
+export function closeTagPattern(name, flags = 'i') {
+    return new RegExp(`\\\\?\\[\\s*\\/\\s*${escapeRegExp(name)}\\s*\\\\?\\]`, flags);
+}
+
+/**
+ * Parse attributes from a tag's opening bracket, e.g. ` voice="Mia" id=2`.
+ * Names are lower-cased. Accepts double, single, curly and no quotes.
+ * @param {string} attrString
+ * @returns {Object<string, string>}
+ */
+export function parseTagAttributes(attrString) {
+    const attributes = {};
+    const normalized = (attrString || '').replace(/[“”„″]/g, '"').replace(/[‘’′]/g, '\'');
+    const regex = /([a-z][\w-]*)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"']+))/gi;
+    for (const match of normalized.matchAll(regex)) {
+        attributes[match[1].toLowerCase()] = (match[2] ?? match[3] ?? match[4]).trim();
+    }
+    return attributes;
+}
+
+/**
+ * Find every tag of the given types in a text, in text order.
+ * @param {string} text
+ * @param {string[]} [names] - Tag names to look for (defaults to every registered type)
+ * @returns {ParsedTag[]}
+ */
+export function parseTags(text, names = [...tagTypes.keys()]) {
+    const tags = [];
+    if (!text) return tags;
+
+    // An unclosed tag stops at the first newline or opening tag of any type after it
+    const boundary = new RegExp(`\\n|${openTagPattern([...new Set([...tagTypes.keys(), ...names])]).source}`, 'gi');
+
+    for (const rawName of names) {
+        const name = rawName.toUpperCase();
+        const opens = [...text.matchAll(openTagPattern(name, 'gi'))];
+        const close = closeTagPattern(name, 'gi');
+
+        opens.forEach((open, index) => {
+            const contentStart = open.index + open[0].length;
+            const nextOpen = opens[index + 1]?.index ?? text.length;
+            close.lastIndex = contentStart;
+            const closeMatch = close.exec(text);
+            const closed = !!closeMatch && closeMatch.index < nextOpen;
+            boundary.lastIndex = contentStart;
+            const contentEnd = closed ? closeMatch.index : (boundary.exec(text)?.index ?? text.length);
+            const attributes = parseTagAttributes(open[1]);
+
+            tags.push({
+                name,
+                index,
+                id: attributes.id || null,
+                attributes,
+                attributeText: open[1].trimEnd(),
+                content: text.slice(contentStart, contentEnd).trim(),
+                start: open.index,
+                contentStart,
+                end: closed ? closeMatch.index + closeMatch[0].length : contentEnd,
+                closed,
+            });
+        });
+    }
+
+    return tags.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Check whether a text contains an opening tag of a type.
+ * @param {string} text
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function hasTag(text, name) {
+    return openTagPattern(name).test(text || '');
+}
+
+/**
+ * Remove tags of the given types and stray closing tags. An unclosed tag loses only its
+ * opening tag; the text after it is kept.
+ * @param {string} text
+ * @param {string[]} [names]
+ * @returns {string}
+ */
+export function stripTags(text, names = [...tagTypes.keys()]) {
+    let result = text || '';
+
+    // Tags may nest or overlap, so merge their ranges before cutting
+    const ranges = [];
+    for (const tag of parseTags(result, names)) {
+        const end = tag.closed ? tag.end : tag.contentStart;
+        const last = ranges[ranges.length - 1];
+        if (last && tag.start <= last.end) {
+            last.end = Math.max(last.end, end);
+        } else {
+            ranges.push({ start: tag.start, end });
+        }
+    }
+
+    // Cut from the end so earlier offsets stay valid
+    for (const { start, end } of ranges.reverse()) {
+        result = result.slice(0, start) + result.slice(end);
+    }
+    for (const name of names) {
+        result = result.replace(closeTagPattern(name, 'gi'), '');
+    }
+    return result;
+}
+
+/**
+ * The text of a tag with any tags nested in it removed, e.g. the words of a [VN] that
+ * also holds an [IMG]. Spaces left around a removed tag are collapsed.
+ * @param {ParsedTag} tag
+ * @returns {string}
+ */
+export function getTagText(tag) {
+    return stripTags(tag.content).replace(/[ \t]{2,}/g, ' ').trim();
+}
+
+/**
+ * Replace the content of the Nth tag of a type, keeping its attributes. The rewritten
+ * tag is always well-formed.
+ * @param {string} text
+ * @param {string} name
+ * @param {number} index - Which tag of the type (0-based)
+ * @param {string} content
+ * @returns {string}
+ */
+export function replaceTagContent(text, name, index, content) {
+    const tag = parseTags(text, [name]).find(t => t.index === index);
+    if (!tag) return text;
+    return `${text.slice(0, tag.start)}[${tag.name}${tag.attributeText}]${content}[/${tag.name}]${text.slice(tag.end)}`;
+}
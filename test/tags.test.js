@@ -0,0 +1,112 @@
+/**
+ * Tests for the media tag parser, run with `node --test` (Node 20.19+ / 22.12+,
+ * which load tags.js as an ES module without a package.json).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerTagType, parseTags, stripTags, getTagText, replaceTagContent, hasTag } from '../tags.js';
+
+registerTagType({ name: 'IMG', placeholderAttr: 'data-phone-img', keyPrefix: '' });
+registerTagType({ name: 'VN', placeholderAttr: 'data-phone-vn', keyPrefix: 'vn' });
+registerTagType({ name: 'LOC', placeholderAttr: 'data-phone-loc', keyPrefix: 'loc' });
+registerTagType({ name: 'VID', placeholderAttr: 'data-phone-vid', keyPrefix: 'vid' });
+
+/**
+ * Shorthand for the fields most tests compare.
+ * @param {string} text
+ * @param {string[]} [names]
+ * @returns {Array<[string, number, string, boolean]>}
+ */
+function summary(text, names) {
+    return parseTags(text, names).map(tag => [tag.name, tag.index, tag.content, tag.closed]);
+}
+
+test('parseTags reads tags of every type in text order', () => {
+    const text = 'Hey [VN]miss you[/VN] look [IMG]a beach[/IMG] and [IMG]a dog[/IMG]';
+    assert.deepEqual(summary(text), [
+        ['VN', 0, 'miss you', true],
+        ['IMG', 0, 'a beach', true],
+        ['IMG', 1, 'a dog', true],
+    ]);
+    assert.deepEqual(summary(text, ['IMG']).map(tag => tag[2]), ['a beach', 'a dog']);
+});
+
+test('parseTags tolerates case, spaces and markdown escapes', () => {
+    const text = '[ img ]one[/ IMG ] [Img]two[/iMg] \\[IMG\\]three\\[/IMG\\]';
+    assert.deepEqual(summary(text).map(tag => [tag[2], tag[3]]), [['one', true], ['two', true], ['three', true]]);
+});
+
+test('parseTags reads attributes in any quote style', () => {
+    const [tag] = parseTags('[VN voice="Mia" id=\'a\' Ratio=“16:9” mood=happy]hi[/VN]');
+    assert.deepEqual(tag.attributes, { voice: 'Mia', id: 'a', ratio: '16:9', mood: 'happy' });
+    assert.equal(tag.id, 'a');
+    assert.equal(tag.content, 'hi');
+});
+
+test('parseTags leaves id null without an id attribute', () => {
+    assert.equal(parseTags('[IMG]cat[/IMG]')[0].id, null);
+    assert.equal(parseTags('[IMG id="beach"]sand[/IMG]')[0].id, 'beach');
+});
+
+test('an unclosed tag ends at the end of its line', () => {
+    assert.deepEqual(summary('Hi [IMG]a cat\nand the story goes on'), [['IMG', 0, 'a cat', false]]);
+    assert.deepEqual(summary('Hi [IMG]a cat and more narrative'), [['IMG', 0, 'a cat and more narrative', false]]);
+});
+
+test('an unclosed tag ends at the next opening tag of any type', () => {
+    assert.deepEqual(summary('[IMG]a cat [VN]meow[/VN] tail'), [
+        ['IMG', 0, 'a cat', false],
+        ['VN', 0, 'meow', true],
+    ]);
+    assert.deepEqual(summary('[IMG]one [IMG]two[/IMG]'), [
+        ['IMG', 0, 'one', false],
+        ['IMG', 1, 'two', true],
+    ]);
+});
+
+test('a closed tag may span lines and contain other tags', () => {
+    assert.deepEqual(summary('[VN]line one\nline two[/VN]', ['VN']), [['VN', 0, 'line one\nline two', true]]);
+    assert.deepEqual(summary('[VN]hello [IMG]pic[/IMG] bye[/VN]'), [
+        ['VN', 0, 'hello [IMG]pic[/IMG] bye', true],
+        ['IMG', 0, 'pic', true],
+    ]);
+});
+
+test('stripTags removes closed tags and stray closing tags', () => {
+    assert.equal(stripTags('a [IMG]x[/IMG] b [/IMG] c', ['IMG']), 'a  b  c');
+    assert.equal(stripTags('a [VN]x[/VN] b [IMG]y[/IMG]', ['IMG']), 'a [VN]x[/VN] b ');
+});
+
+test('stripTags keeps the text after an unclosed tag', () => {
+    assert.equal(stripTags('Hi [IMG]a cat and then lots of narrative text after', ['IMG']), 'Hi a cat and then lots of narrative text after');
+    assert.equal(stripTags('x [VID]waves\nnext line', ['VID']), 'x waves\nnext line');
+});
+
+test('stripTags handles nested and overlapping tags', () => {
+    assert.equal(stripTags('[VN]hello [IMG]pic[/IMG] bye[/VN] tail'), ' tail');
+    assert.equal(stripTags('[IMG]a [VN]b [IMG]c[/IMG] d[/VN] tail'), 'a  tail');
+    assert.equal(stripTags('[IMG]a [VN]b[/IMG] c[/VN] tail'), ' tail');
+});
+
+test('getTagText drops tags nested in a closed tag', () => {
+    const [note] = parseTags('[VN]hello [IMG]pic[/IMG] bye[/VN]', ['VN']);
+    assert.equal(note.content, 'hello [IMG]pic[/IMG] bye');
+    assert.equal(getTagText(note), 'hello bye');
+    assert.equal(getTagText(parseTags('[VN]line one\n[VID]clip[/VID]line two[/VN]', ['VN'])[0]), 'line one\nline two');
+    assert.equal(getTagText(parseTags('[VN]just words[/VN]')[0]), 'just words');
+});
+
+test('replaceTagContent keeps attributes and closes the tag', () => {
+    const text = 'a [VN voice="Mia"]old[/VN] b [VN]second[/VN]';
+    assert.equal(replaceTagContent(text, 'VN', 0, 'new'), 'a [VN voice="Mia"]new[/VN] b [VN]second[/VN]');
+    assert.equal(replaceTagContent(text, 'VN', 1, 'two'), 'a [VN voice="Mia"]old[/VN] b [VN]two[/VN]');
+    assert.equal(replaceTagContent('[ vn ]old\nrest', 'VN', 0, 'new'), '[VN]new[/VN]\nrest');
+    assert.equal(replaceTagContent(text, 'VN', 5, 'x'), text);
+});
+
+test('hasTag finds opening tags only', () => {
+    assert.equal(hasTag('x [ img id=1 ] y', 'IMG'), true);
+    assert.equal(hasTag('x [/IMG] y', 'IMG'), false);
+    assert.equal(hasTag('[IMGX]', 'IMG'), false);
+});
@@ -0,0 +1,182 @@
+/**
+ * Minimal ZIP archive writer and reader for phone media bundles.
+ * Writes uncompressed (STORE) entries — photos and audio are already compressed.
+ * Reads STORE and DEFLATE entries, so a bundle re-zipped by another tool still imports.
+ * No ZIP64: archives and entries must stay under 4 GB.
+ */
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIR_SIGNATURE = 0x06054b50;
+
+/** General purpose flag: file names are UTF-8 */
+const UTF8_FLAG = 0x0800;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+let crcTable = null;
+
+/**
+ * Compute the CRC-32 checksum ZIP uses for entry data.
+ * @param {Uint8Array} data
+ * @returns {number}
+ */
+function crc32(data) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) {
+        crc = crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Encode a date as MS-DOS time and date words.
+ * @param {Date} date
+ * @returns {{ time: number, date: number }}
+ */
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+}
+
+/**
+ * Build a ZIP archive from in-memory files.
+ * @param {{ name: string, data: Uint8Array }[]} files - Paths use forward slashes
+ * @returns {Blob}
+ */
+export function createZip(files) {
+    const encoder = new TextEncoder();
+    const { time, date } = toDosDateTime(new Date());
+    const parts = [];
+    const centralHeaders = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const crc = crc32(file.data);
+        const size = file.data.length;
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+        local.setUint16(4, 20, true); // version needed to extract
+        local.setUint16(6, UTF8_FLAG, true);
+        local.setUint16(8, METHOD_STORE, true);
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, size, true); // compressed size
+        local.setUint32(22, size, true); // uncompressed size
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true); // extra field length
+        parts.push(local, name, file.data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, CENTRAL_HEADER_SIGNATURE, true);
+        central.setUint16(4, 20, true); // version made by
+        central.setUint16(6, 20, true); // version needed to extract
+        central.setUint16(8, UTF8_FLAG, true);
+        central.setUint16(10, METHOD_STORE, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, date, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, size, true);
+        central.setUint32(24, size, true);
+        central.setUint16(28, name.length, true);
+        // extra, comment, disk number, internal and external attributes stay 0
+        central.setUint32(42, offset, true);
+        centralHeaders.push(central, name);
+
+        offset += 30 + name.length + size;
+    }
+
+    const centralSize = centralHeaders.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, END_OF_CENTRAL_DIR_SIGNATURE, true);
+    end.setUint16(8, files.length, true); // entries on this disk
+    end.setUint16(10, files.length, true); // total entries
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true); // central directory offset
+
+    return new Blob([...parts, ...centralHeaders, end], { type: 'application/zip' });
+}
+
+/**
+ * Inflate raw DEFLATE data with the browser's DecompressionStream.
+ * @param {Uint8Array} data
+ * @returns {Promise<Uint8Array>}
+ */
+async function inflateRaw(data) {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('This browser cannot read compressed ZIP entries');
+    }
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Read every file in a ZIP archive. Directory entries are skipped.
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<Map<string, Uint8Array>>} File path to contents
+ */
+export async function readZip(buffer) {
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    const decoder = new TextDecoder();
+
+    // The end record sits at the end, followed by a comment of up to 64 KB
+    let endOffset = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xFFFF); i--) {
+        if (view.getUint32(i, true) === END_OF_CENTRAL_DIR_SIGNATURE) {
+            endOffset = i;
+            break;
+        }
+    }
+    if (endOffset === -1) throw new Error('Not a ZIP file');
+
+    const entryCount = view.getUint16(endOffset + 10, true);
+    let pointer = view.getUint32(endOffset + 16, true);
+    const files = new Map();
+
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(pointer, true) !== CENTRAL_HEADER_SIGNATURE) throw new Error('Corrupt ZIP central directory');
+
+        const method = view.getUint16(pointer + 10, true);
+        const compressedSize = view.getUint32(pointer + 20, true);
+        const nameLength = view.getUint16(pointer + 28, true);
+        const extraLength = view.getUint16(pointer + 30, true);
+        const commentLength = view.getUint16(pointer + 32, true);
+        const localOffset = view.getUint32(pointer + 42, true);
+        const name = decoder.decode(bytes.subarray(pointer + 46, pointer + 46 + nameLength));
+        pointer += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue;
+
+        // The local header's name and extra lengths can differ from the central copy
+        if (view.getUint32(localOffset, true) !== LOCAL_HEADER_SIGNATURE) throw new Error(`Corrupt ZIP entry: ${name}`);
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+        if (method === METHOD_STORE) {
+            files.set(name, data);
+        } else if (method === METHOD_DEFLATE) {
+            files.set(name, await inflateRaw(data));
+        } else {
+            throw new Error(`Unsupported ZIP compression method ${method} for ${name}`);
+        }
+    }
+
+    return files;
+}